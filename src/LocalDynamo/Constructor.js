@@ -0,0 +1,626 @@
+'use strict';
+
+// Common dependencies
+const AWS = require('aws-sdk')
+const cloneDeep = require('lodash/cloneDeep')
+const expressions = require('./expressions.js')
+
+const awsError = expressions.awsError
+/**
+ * Constructor of an in-memory stand-in for the DynamoDB DocumentClient.
+ * It can be passed as the `dynamo` option of RxDynamoConstructor, so
+ * models can be tested, or run offline, without a network. It also
+ * answers the table management methods of the low level client.
+ *
+ *   const dynamo = LocalDynamo({tables: {
+ *     Users: {HashKey: 'ID', Indexes: {EmailIndex: {HashKey: 'Email'}}},
+ *   }})
+ *   const DB = RxDynamoConstructor({dynamo})
+ *
+ * Callbacks are called synchronously, unless a `latency` is set.
+ * @param {Object} options         Constructor options.
+ * @param {Object} options.tables  Table definitions by name, with the
+ *                                 `HashKey`, `RangeKey` and `Indexes`
+ *                                 keys used by Model.
+ * @param {Number} options.latency Milliseconds to wait before answering.
+ */
+function LocalDynamoConstructor (options) {
+	options || (options = {})
+	///////////////
+	// CONSTANTS //
+	///////////////
+	const tables = {}
+	/////////////
+	// PRIVATE //
+	/////////////
+	/**
+	 * Returns a table, or throws a ResourceNotFoundException.
+	 * @param  {String} TableName Table name.
+	 * @return {Object}           Table.
+	 */
+	const _table = (TableName) => {
+		if (!tables[TableName]) {
+			throw awsError('ResourceNotFoundException', 'Requested resource not found')
+		}
+		return tables[TableName]
+	}
+	/**
+	 * Returns the key schema of a table, or of one of its indexes.
+	 * @param  {Object} table     Table.
+	 * @param  {String} IndexName Index name.
+	 * @return {Object}           Key schema with HashKey and RangeKey.
+	 */
+	const _schema = (table, IndexName) => {
+		if (!IndexName) return table.definition
+		const index = (table.definition.Indexes || {})[IndexName]
+		if (!index) {
+			throw awsError('ValidationException', `The table does not have the specified index: ${IndexName}`)
+		}
+		return index
+	}
+	/**
+	 * Returns the key attributes of an item.
+	 * @param  {Object} schema Key schema.
+	 * @param  {Object} item   Item.
+	 * @return {Object}        Key.
+	 */
+	const _pickKey = (schema, item) => [schema.HashKey, schema.RangeKey]
+		.filter(name => !!name)
+		.reduce((acc, name) => {
+			acc[name] = item[name]
+			return acc
+		}, {})
+	/**
+	 * Validates a primary key and returns the id of its item.
+	 * @param  {Object} table Table.
+	 * @param  {Object} key   Primary key, or item.
+	 * @return {String}       Item id.
+	 */
+	const _id = (table, key) => {
+		const schema = table.definition
+		const names = [schema.HashKey, schema.RangeKey].filter(name => !!name)
+		names.forEach(name => {
+			const value = (key || {})[name]
+			if (typeof value !== 'string' && typeof value !== 'number' && !Buffer.isBuffer(value)) {
+				throw awsError('ValidationException', 'The provided key element does not match the schema')
+			}
+		})
+		return JSON.stringify(names.map(name => key[name]))
+	}
+	/**
+	 * Compares two items by their index keys, and then by their
+	 * primary keys.
+	 * @param  {Object} table  Table.
+	 * @param  {Object} schema Key schema of the table or index.
+	 * @return {Function}      Items comparator.
+	 */
+	const _comparator = (table, schema) => {
+		const names = [schema.HashKey, schema.RangeKey, table.definition.HashKey, table.definition.RangeKey]
+			.filter(name => !!name)
+		return (a, b) => names.reduce((result, name) =>
+			result !== 0 ? result : expressions.compare(a[name], b[name]), 0)
+	}
+	/**
+	 * Evaluates a condition expression against the stored item.
+	 * @param  {Object}  params Request params.
+	 * @param  {Object}  item   Stored item, or undefined.
+	 * @return {Boolean}        True if there is no condition, or it holds.
+	 */
+	const _checkCondition = (params, item) => {
+		if (!params.ConditionExpression) return true
+		return expressions.parseCondition(params.ConditionExpression, params.context)(item || {})
+	}
+	/**
+	 * Creates a parse context for a request. The expression attribute
+	 * names and values must all be used by the request expressions.
+	 * @param  {Object} params Request params.
+	 * @param  {Array}  names  Names of the request expressions.
+	 * @return {Object}        Params with the parse context.
+	 */
+	const _prepare = (params, names) => {
+		const context = expressions.context(params)
+		names.filter(name => !!params[name]).forEach(name => {
+			const parse = name === 'ProjectionExpression' ? expressions.parseProjection :
+				name === 'UpdateExpression' ? expressions.parseUpdate :
+				expressions.parseCondition
+			parse(params[name], context)
+		})
+		expressions.assertUsed(params, context)
+		context.used = {}
+		return Object.assign({}, params, {context})
+	}
+	/**
+	 * Applies the projection expression of a request to an item.
+	 * @param  {Object} params Prepared request params.
+	 * @param  {Object} item   Item.
+	 * @return {Object}        Projected copy of the item.
+	 */
+	const _project = (params, item) => !params.ProjectionExpression ?
+		cloneDeep(item) :
+		expressions.parseProjection(params.ProjectionExpression, params.context)(item)
+	/**
+	 * Throws a ConditionalCheckFailedException.
+	 */
+	const _conditionFailed = () => {
+		throw awsError('ConditionalCheckFailedException', 'The conditional request failed')
+	}
+	/**
+	 * Returns the attributes asked for by ReturnValues.
+	 * @param  {String} ReturnValues Return values option.
+	 * @param  {Object} oldItem      Item before the write.
+	 * @param  {Object} newItem      Item after the write.
+	 * @param  {Array}  attributes   Top level attributes the write updated.
+	 * @return {Object}              Response.
+	 */
+	const _returnValues = (ReturnValues, oldItem, newItem, attributes) => {
+		const pick = (item) => (attributes || Object.keys(item || {}))
+			.filter(name => !!item && item[name] !== undefined)
+			.reduce((acc, name) => {
+				acc[name] = cloneDeep(item[name])
+				return acc
+			}, {})
+		switch (ReturnValues) {
+		case 'ALL_OLD': return !!oldItem ? {Attributes: cloneDeep(oldItem)} : {}
+		case 'ALL_NEW': return !!newItem ? {Attributes: cloneDeep(newItem)} : {}
+		case 'UPDATED_OLD': return !!oldItem ? {Attributes: pick(oldItem)} : {}
+		case 'UPDATED_NEW': return !!newItem ? {Attributes: pick(newItem)} : {}
+		default: return {}
+		}
+	}
+	/**
+	 * Answers a request through its callback, synchronously or after
+	 * the latency. Returns an object like an AWS.Request, whose abort()
+	 * cancels a request that was not answered yet.
+	 * @param  {Function} operation Function that returns the response.
+	 * @param  {Function} cb        Node style callback.
+	 * @return {Object}             Request.
+	 */
+	const _respond = (operation, cb) => {
+		const run = () => {
+			let data
+			try {
+				data = operation()
+			} catch (err) {
+				return cb(err)
+			}
+			cb(null, data)
+		}
+		if (!options.latency) {
+			run()
+			return {abort: () => {}}
+		}
+		const timer = setTimeout(run, options.latency)
+		return {
+			abort: () => {
+				clearTimeout(timer)
+				cb(awsError('RequestAbortedError', 'Request aborted by user'))
+			},
+		}
+	}
+	/////////////////////
+	// ITEM OPERATIONS //
+	/////////////////////
+	/**
+	 * Gets an item.
+	 * @param  {Object} params DynamoDB get params.
+	 * @return {Object}        Response, with the Item if it exists.
+	 */
+	const _get = (params) => {
+		const table = _table(params.TableName)
+		params = _prepare(params, ['ProjectionExpression'])
+		const item = table.items[_id(table, params.Key)]
+		return !!item ? {Item: _project(params, item)} : {}
+	}
+	/**
+	 * Puts an item.
+	 * @param  {Object} params DynamoDB put params.
+	 * @return {Object}        Response.
+	 */
+	const _put = (params) => {
+		const table = _table(params.TableName)
+		params = _prepare(params, ['ConditionExpression'])
+		const id = _id(table, params.Item)
+		const oldItem = table.items[id]
+		_checkCondition(params, oldItem) || _conditionFailed()
+		table.items[id] = cloneDeep(params.Item)
+		return _returnValues(params.ReturnValues, oldItem)
+	}
+	/**
+	 * Updates an item, or creates it if it does not exist.
+	 * @param  {Object} params DynamoDB update params.
+	 * @return {Object}        Response.
+	 */
+	const _update = (params) => {
+		const table = _table(params.TableName)
+		params = _prepare(params, ['UpdateExpression', 'ConditionExpression'])
+		const id = _id(table, params.Key)
+		const oldItem = table.items[id]
+		_checkCondition(params, oldItem) || _conditionFailed()
+		const update = expressions.parseUpdate(params.UpdateExpression || '', params.context)
+		const keyNames = Object.keys(params.Key)
+		if (update.attributes.some(name => keyNames.indexOf(name) > -1)) {
+			throw awsError('ValidationException',
+				'One or more parameter values were invalid: Cannot update attribute. This attribute is part of the key')
+		}
+		const newItem = Object.assign(cloneDeep(oldItem || {}), cloneDeep(params.Key))
+		update.apply(newItem)
+		table.items[id] = newItem
+		return _returnValues(params.ReturnValues, oldItem, newItem,
+			/^UPDATED_/.test(params.ReturnValues || '') ? update.attributes : undefined)
+	}
+	/**
+	 * Deletes an item.
+	 * @param  {Object} params DynamoDB delete params.
+	 * @return {Object}        Response.
+	 */
+	const _delete = (params) => {
+		const table = _table(params.TableName)
+		params = _prepare(params, ['ConditionExpression'])
+		const id = _id(table, params.Key)
+		const oldItem = table.items[id]
+		_checkCondition(params, oldItem) || _conditionFailed()
+		delete table.items[id]
+		return _returnValues(params.ReturnValues, oldItem)
+	}
+	//////////////////////
+	// QUERY OPERATIONS //
+	//////////////////////
+	/**
+	 * Reads a page of items. Query and scan share it: the items are
+	 * sorted by key, start after the ExclusiveStartKey and stop at the
+	 * Limit, which counts the items read before the FilterExpression.
+	 * @param  {Object}   params    Prepared request params.
+	 * @param  {Function} candidate Predicate of the items to read.
+	 * @param  {Boolean}  forward   Read in ascending key order.
+	 * @return {Object}             Response.
+	 */
+	const _page = (params, candidate, forward) => {
+		const table = _table(params.TableName)
+		const schema = _schema(table, params.IndexName)
+		const comparator = _comparator(table, schema)
+		const direction = forward ? 1 : -1
+		const sorted = Object.keys(table.items)
+			.map(id => table.items[id])
+			.filter(item => item[schema.HashKey] !== undefined &&
+				(!schema.RangeKey || item[schema.RangeKey] !== undefined))
+			.filter(candidate)
+			.sort((a, b) => direction * comparator(a, b))
+		const start = !params.ExclusiveStartKey ? 0 : sorted.findIndex(item =>
+			direction * comparator(item, params.ExclusiveStartKey) > 0)
+		const remaining = start === -1 ? [] : sorted.slice(start)
+		const read = !!params.Limit ? remaining.slice(0, params.Limit) : remaining
+		const filter = !!params.FilterExpression ?
+			expressions.parseCondition(params.FilterExpression, params.context) :
+			() => true
+		const items = read.filter(filter)
+		const response = {Count: items.length, ScannedCount: read.length}
+		if (params.Select !== 'COUNT') {
+			response.Items = items.map(item => _project(params, item))
+		}
+		if (!!params.Limit && read.length === params.Limit) {
+			const last = read[read.length - 1]
+			response.LastEvaluatedKey = cloneDeep(Object.assign(
+				_pickKey(schema, last),
+				_pickKey(table.definition, last)
+			))
+		}
+		return response
+	}
+	/**
+	 * Queries the items of a hash key, in the table or an index.
+	 * @param  {Object} params DynamoDB query params.
+	 * @return {Object}        Response.
+	 */
+	const _query = (params) => {
+		_table(params.TableName)
+		if (!params.KeyConditionExpression) {
+			throw awsError('ValidationException', 'Either the KeyConditions or KeyConditionExpression parameter must be specified in the request.')
+		}
+		params = _prepare(params, ['KeyConditionExpression', 'FilterExpression', 'ProjectionExpression'])
+		const keyCondition = expressions.parseCondition(params.KeyConditionExpression, params.context)
+		return _page(params, keyCondition, params.ScanIndexForward !== false)
+	}
+	/**
+	 * Scans the table, or a segment of a parallel scan.
+	 * @param  {Object} params DynamoDB scan params.
+	 * @return {Object}        Response.
+	 */
+	const _scan = (params) => {
+		const table = _table(params.TableName)
+		params = _prepare(params, ['FilterExpression', 'ProjectionExpression'])
+		const segment = (item) => {
+			if (!params.TotalSegments) return true
+			const hash = JSON.stringify(item[table.definition.HashKey])
+			const code = hash.split('').reduce((acc, char) => (acc * 31 + char.charCodeAt(0)) >>> 0, 0)
+			return code % params.TotalSegments === params.Segment
+		}
+		return _page(params, segment, true)
+	}
+	//////////////////////
+	// BATCH OPERATIONS //
+	//////////////////////
+	/**
+	 * Gets the items of several tables.
+	 * @param  {Object} params DynamoDB batchGet params.
+	 * @return {Object}        Response, without unprocessed keys.
+	 */
+	const _batchGet = (params) => {
+		const RequestItems = params.RequestItems || {}
+		return {
+			Responses: Object.keys(RequestItems).reduce((acc, TableName) => {
+				const request = RequestItems[TableName]
+				acc[TableName] = request.Keys
+					.map(Key => _get(Object.assign({}, request, {TableName, Key, Keys: undefined})).Item)
+					.filter(item => !!item)
+				return acc
+			}, {}),
+			UnprocessedKeys: {},
+		}
+	}
+	/**
+	 * Puts and deletes the items of several tables.
+	 * @param  {Object} params DynamoDB batchWrite params.
+	 * @return {Object}        Response, without unprocessed items.
+	 */
+	const _batchWrite = (params) => {
+		const RequestItems = params.RequestItems || {}
+		Object.keys(RequestItems).forEach(TableName => {
+			RequestItems[TableName].forEach(request => !!request.PutRequest ?
+				_put({TableName, Item: request.PutRequest.Item}) :
+				_delete({TableName, Key: request.DeleteRequest.Key}))
+		})
+		return {UnprocessedItems: {}}
+	}
+	/**
+	 * Gets several items atomically.
+	 * @param  {Object} params DynamoDB transactGet params.
+	 * @return {Object}        Response, with one entry per item.
+	 */
+	const _transactGet = (params) => ({
+		Responses: (params.TransactItems || []).map(item => _get(item.Get)),
+	})
+	/**
+	 * Writes several items atomically. Every condition is checked
+	 * before any item is written.
+	 * @param  {Object} params DynamoDB transactWrite params.
+	 * @return {Object}        Response.
+	 */
+	const _transactWrite = (params) => {
+		const items = (params.TransactItems || []).map(item => {
+			const type = Object.keys(item)[0]
+			return {type, params: item[type]}
+		})
+		const reasons = items.map(item => {
+			const table = _table(item.params.TableName)
+			const prepared = _prepare(item.params, ['ConditionExpression', 'UpdateExpression'])
+			const stored = table.items[_id(table, item.params.Key || item.params.Item)]
+			return _checkCondition(prepared, stored) ?
+				{Code: 'None'} :
+				{Code: 'ConditionalCheckFailed', Message: 'The conditional request failed'}
+		})
+		if (reasons.some(reason => reason.Code !== 'None')) {
+			throw Object.assign(awsError('TransactionCanceledException',
+				`Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.map(reason => reason.Code).join(', ')}]`
+			), {CancellationReasons: reasons})
+		}
+		items.forEach(item => {
+			switch (item.type) {
+			case 'Put': return _put(item.params)
+			case 'Update': return _update(item.params)
+			case 'Delete': return _delete(item.params)
+			}
+		})
+		return {}
+	}
+	//////////////////////
+	// TABLE OPERATIONS //
+	//////////////////////
+	/**
+	 * Builds a DynamoDB key schema from a HashKey and RangeKey.
+	 * @param  {Object} definition Key definition.
+	 * @return {Array}             Key schema.
+	 */
+	const _keySchema = (definition) => [
+		{AttributeName: definition.HashKey, KeyType: 'HASH'},
+		{AttributeName: definition.RangeKey, KeyType: 'RANGE'},
+	].filter(key => !!key.AttributeName)
+	/**
+	 * Reads the HashKey and RangeKey of a DynamoDB key schema.
+	 * @param  {Array}  KeySchema Key schema.
+	 * @return {Object}           Key definition.
+	 */
+	const _fromKeySchema = (KeySchema) => (KeySchema || []).reduce((acc, key) => {
+		acc[key.KeyType === 'HASH' ? 'HashKey' : 'RangeKey'] = key.AttributeName
+		return acc
+	}, {})
+	/**
+	 * Returns the description of a table, as describeTable does.
+	 * @param  {String} TableName Table name.
+	 * @return {Object}           Table description.
+	 */
+	const _description = (TableName) => {
+		const table = _table(TableName)
+		return Object.assign(cloneDeep(table.description), {
+			ItemCount: Object.keys(table.items).length,
+		})
+	}
+	/**
+	 * Creates a table from DynamoDB createTable params.
+	 * @param  {Object} params DynamoDB createTable params.
+	 * @return {Object}        Response with the TableDescription.
+	 */
+	const _createTable = (params) => {
+		if (!!tables[params.TableName]) {
+			throw awsError('ResourceInUseException', `Table already exists: ${params.TableName}`)
+		}
+		const indexes = (params.GlobalSecondaryIndexes || []).concat(params.LocalSecondaryIndexes || [])
+		defineTable(params.TableName, Object.assign(_fromKeySchema(params.KeySchema), {
+			Indexes: indexes.reduce((acc, index) => {
+				acc[index.IndexName] = _fromKeySchema(index.KeySchema)
+				return acc
+			}, {}),
+		}))
+		tables[params.TableName].description = Object.assign(cloneDeep(params), {TableStatus: 'ACTIVE'})
+		return {TableDescription: _description(params.TableName)}
+	}
+	/**
+	 * Describes a table.
+	 * @param  {Object} params DynamoDB describeTable params.
+	 * @return {Object}        Response with the Table description.
+	 */
+	const _describeTable = (params) => ({Table: _description(params.TableName)})
+	/**
+	 * Deletes a table and its items.
+	 * @param  {Object} params DynamoDB deleteTable params.
+	 * @return {Object}        Response with the TableDescription.
+	 */
+	const _deleteTable = (params) => {
+		const description = _description(params.TableName)
+		delete tables[params.TableName]
+		return {TableDescription: Object.assign(description, {TableStatus: 'DELETING'})}
+	}
+	/**
+	 * Updates the billing mode, throughput or global indexes of a table.
+	 * @param  {Object} params DynamoDB updateTable params.
+	 * @return {Object}        Response with the TableDescription.
+	 */
+	const _updateTable = (params) => {
+		const table = _table(params.TableName)
+		const description = table.description
+		;['AttributeDefinitions', 'BillingMode', 'ProvisionedThroughput', 'StreamSpecification']
+			.filter(name => params[name] !== undefined)
+			.forEach(name => description[name] = cloneDeep(params[name]))
+		;(params.GlobalSecondaryIndexUpdates || []).forEach(update => {
+			const indexes = description.GlobalSecondaryIndexes || []
+			table.definition.Indexes = Object.assign({}, table.definition.Indexes)
+			if (!!update.Create) {
+				indexes.push(cloneDeep(update.Create))
+				table.definition.Indexes[update.Create.IndexName] = _fromKeySchema(update.Create.KeySchema)
+			}
+			if (!!update.Delete) {
+				_schema(table, update.Delete.IndexName)
+				indexes.splice(indexes.findIndex(index => index.IndexName === update.Delete.IndexName), 1)
+				delete table.definition.Indexes[update.Delete.IndexName]
+			}
+			description.GlobalSecondaryIndexes = indexes
+		})
+		return {TableDescription: _description(params.TableName)}
+	}
+	/**
+	 * Enables or disables the TTL of a table. Expired items are not
+	 * deleted, the specification is only recorded.
+	 * @param  {Object} params DynamoDB updateTimeToLive params.
+	 * @return {Object}        Response with the TimeToLiveSpecification.
+	 */
+	const _updateTimeToLive = (params) => {
+		const table = _table(params.TableName)
+		const spec = params.TimeToLiveSpecification
+		table.description.TimeToLiveDescription = {
+			AttributeName: spec.AttributeName,
+			TimeToLiveStatus: spec.Enabled ? 'ENABLED' : 'DISABLED',
+		}
+		return {TimeToLiveSpecification: cloneDeep(spec)}
+	}
+	/**
+	 * Checks that a table is in the waited state. Tables change state
+	 * at once, so it never has to poll.
+	 * @param  {String} state  Waiter state, tableExists or tableNotExists.
+	 * @param  {Object} params Waiter params, with the TableName.
+	 * @return {Object}        Response.
+	 */
+	const _waitFor = (state, params) => {
+		const exists = !!tables[params.TableName]
+		if (state === 'tableExists' && exists) return _describeTable(params)
+		if (state === 'tableNotExists' && !exists) return {}
+		throw awsError('ResourceNotReady', `Resource is not in the state ${state}`)
+	}
+	////////////
+	// PUBLIC //
+	////////////
+	/**
+	 * Defines a table. Defining an existing table clears its items.
+	 * @param  {String} TableName  Table name.
+	 * @param  {Object} definition Key schema with `HashKey`, `RangeKey`
+	 *                             and `Indexes`.
+	 */
+	const defineTable = (TableName, definition) => {
+		definition = Object.assign({}, definition)
+		const indexes = Object.keys(definition.Indexes || {}).map(IndexName => ({
+			IndexName,
+			KeySchema: _keySchema(definition.Indexes[IndexName]),
+			Projection: {ProjectionType: 'ALL'},
+		}))
+		tables[TableName] = {
+			definition,
+			items: {},
+			description: Object.assign({
+				TableName,
+				TableStatus: 'ACTIVE',
+				KeySchema: _keySchema(definition),
+			}, indexes.length > 0 ? {GlobalSecondaryIndexes: indexes} : {}),
+		}
+	}
+	/**
+	 * Returns a copy of the items of a table, sorted by key.
+	 * @param  {String} TableName Table name.
+	 * @return {Array}            List of items.
+	 */
+	const items = (TableName) => {
+		const table = _table(TableName)
+		const comparator = _comparator(table, table.definition)
+		return Object.keys(table.items)
+			.map(id => cloneDeep(table.items[id]))
+			.sort(comparator)
+	}
+	/**
+	 * Creates a DocumentClient set. It can also be called with a
+	 * callback, the way RxDynamo calls every method.
+	 * @param  {Array}  list    List of values.
+	 * @param  {Object} options Set options, or callback.
+	 * @return {Object}         DynamoDB set.
+	 */
+	const createSet = (list, options) => {
+		const set = AWS.DynamoDB.DocumentClient.prototype.createSet(list,
+			typeof options === 'function' ? undefined : options)
+		typeof options === 'function' && options(null, set)
+		return set
+	}
+	/**
+	 * Wraps an operation with the DocumentClient callback signature.
+	 * @param  {Function} operation Operation.
+	 * @return {Function}           DocumentClient method.
+	 */
+	const method = (operation) => (params, cb) =>
+		_respond(() => operation(cloneDeep(params || {})), cb)
+
+	Object.keys(options.tables || {})
+		.forEach(TableName => defineTable(TableName, options.tables[TableName]))
+	//////////////////
+	// RETURN VALUE //
+	//////////////////
+	return {
+		batchGet: method(_batchGet),
+		batchWrite: method(_batchWrite),
+		createSet,
+		delete: method(_delete),
+		get: method(_get),
+		put: method(_put),
+		query: method(_query),
+		scan: method(_scan),
+		transactGet: method(_transactGet),
+		transactWrite: method(_transactWrite),
+		update: method(_update),
+		createTable: method(_createTable),
+		deleteTable: method(_deleteTable),
+		describeTable: method(_describeTable),
+		updateTable: method(_updateTable),
+		updateTimeToLive: method(_updateTimeToLive),
+		waitFor: (state, params, cb) => _respond(() => _waitFor(state, params || {}), cb),
+		defineTable,
+		items,
+	}
+}
+///////////////////
+// Export Object //
+///////////////////
+exports = module.exports = LocalDynamoConstructor
@@ -0,0 +1,604 @@
+'use strict'
+
+const AWS = require('aws-sdk')
+const isEqual = require('lodash/isEqual')
+
+const TOKEN = /\s*(<>|<=|>=|[=<>()\[\],.+\-]|[#:]?[A-Za-z0-9_]+)/y
+const COMPARATORS = ['=', '<>', '<', '<=', '>', '>=']
+const CLAUSES = ['SET', 'REMOVE', 'ADD', 'DELETE']
+/**
+ * Builds an error shaped like the aws-sdk errors.
+ * @param  {String} code    Error code.
+ * @param  {String} message Error message.
+ * @return {Error}          aws-sdk like error.
+ */
+const awsError = (code, message) => Object.assign(new Error(message), {
+	code,
+	statusCode: 400,
+	retryable: false,
+})
+/**
+ * Builds a ValidationException about an expression.
+ * @param  {String} message Error message.
+ * @return {Error}          aws-sdk like error.
+ */
+const invalid = (message) => awsError('ValidationException', message)
+/**
+ * Creates a DocumentClient set.
+ * @param  {Array} list List of values.
+ * @return {Object}     DynamoDB set.
+ */
+const createSet = (list) => AWS.DynamoDB.DocumentClient.prototype.createSet(list)
+/**
+ * Checks if a value is a DocumentClient set.
+ * @param  {Any}     value Value.
+ * @return {Boolean}       Set query result.
+ */
+const isSet = (value) => !!value && value.wrapperName === 'Set'
+/**
+ * Returns the DynamoDB type of a value.
+ * @param  {Any}    value Value.
+ * @return {String}       DynamoDB type name, like S, N or SS.
+ */
+const typeOf = (value) => {
+	if (value === null) return 'NULL'
+	if (isSet(value)) return {String: 'SS', Number: 'NS', Binary: 'BS'}[value.type]
+	if (Buffer.isBuffer(value)) return 'B'
+	if (Array.isArray(value)) return 'L'
+	switch (typeof value) {
+	case 'string': return 'S'
+	case 'number': return 'N'
+	case 'boolean': return 'BOOL'
+	case 'object': return 'M'
+	}
+}
+/**
+ * Compares two values the way DynamoDB does. Sets are equal when they
+ * hold the same values in any order.
+ * @param  {Any}     a Value.
+ * @param  {Any}     b Value.
+ * @return {Boolean}   Equality query result.
+ */
+const equals = (a, b) => {
+	if (a === undefined || b === undefined) return false
+	if (isSet(a) && isSet(b)) {
+		return a.type === b.type && isEqual(a.values.slice().sort(), b.values.slice().sort())
+	}
+	return isEqual(a, b)
+}
+/**
+ * Orders two scalar values. Numbers are compared numerically and
+ * strings lexicographically.
+ * @param  {Any}    a Value.
+ * @param  {Any}    b Value.
+ * @return {Number}   Negative, zero or positive.
+ */
+const compare = (a, b) => {
+	if (typeof a !== typeof b) return typeof a < typeof b ? -1 : 1
+	if (Buffer.isBuffer(a)) return Buffer.compare(a, b)
+	return a < b ? -1 : a > b ? 1 : 0
+}
+/**
+ * Checks if two values can be ordered with <, <=, > or >=.
+ * @param  {Any}     a Value.
+ * @param  {Any}     b Value.
+ * @return {Boolean}   Comparable query result.
+ */
+const comparable = (a, b) => {
+	const type = typeOf(a)
+	return ['S', 'N', 'B'].indexOf(type) > -1 && type === typeOf(b)
+}
+/**
+ * Returns the value at a document path.
+ * @param  {Object} item Item.
+ * @param  {Array}  path List of attribute names and list indexes.
+ * @return {Any}         Value, or undefined if the path does not exist.
+ */
+const getPath = (item, path) => path.reduce((value, segment) =>
+	value === undefined || value === null || typeof value !== 'object' ?
+		undefined :
+		value[segment],
+	item)
+/**
+ * Sets the value at a document path. The parent of the last segment
+ * must exist, and an index past the end of a list appends the value.
+ * @param  {Object} item  Item.
+ * @param  {Array}  path  List of attribute names and list indexes.
+ * @param  {Any}    value Value.
+ */
+const setPath = (item, path, value) => {
+	const parent = getPath(item, path.slice(0, -1))
+	const last = path[path.length - 1]
+	if (typeof last === 'number') {
+		if (!Array.isArray(parent)) throw invalid('The document path provided in the update expression is invalid for update')
+		last >= parent.length ? parent.push(value) : parent[last] = value
+		return
+	}
+	if (!parent || typeof parent !== 'object' || Array.isArray(parent)) {
+		throw invalid('The document path provided in the update expression is invalid for update')
+	}
+	parent[last] = value
+}
+/**
+ * Removes the value at a document path.
+ * @param  {Object} item Item.
+ * @param  {Array}  path List of attribute names and list indexes.
+ */
+const removePath = (item, path) => {
+	const parent = getPath(item, path.slice(0, -1))
+	const last = path[path.length - 1]
+	if (Array.isArray(parent) && typeof last === 'number') {
+		last < parent.length && parent.splice(last, 1)
+	} else if (!!parent && typeof parent === 'object') {
+		delete parent[last]
+	}
+}
+/**
+ * Returns the size of a value, as the DynamoDB size() function.
+ * @param  {Any}    value Value.
+ * @return {Number}       Size, or undefined for values without size.
+ */
+const sizeOf = (value) => {
+	if (typeof value === 'string' || Buffer.isBuffer(value) || Array.isArray(value)) return value.length
+	if (isSet(value)) return value.values.length
+	if (!!value && typeof value === 'object') return Object.keys(value).length
+}
+/**
+ * Splits an expression into tokens.
+ * @param  {String} expression Expression.
+ * @return {Array}             List of tokens.
+ */
+const tokenize = (expression) => {
+	const tokens = []
+	TOKEN.lastIndex = 0
+	while (TOKEN.lastIndex < expression.length) {
+		if (/^\s*$/.test(expression.slice(TOKEN.lastIndex))) break
+		const start = TOKEN.lastIndex
+		const match = TOKEN.exec(expression)
+		if (!match) throw invalid(`Invalid expression: syntax error near "${expression.slice(start)}"`)
+		tokens.push(match[1])
+	}
+	return tokens
+}
+/**
+ * Creates a parser for one expression. It resolves the placeholders
+ * with the expression attribute names and values, and records which
+ * of them were used.
+ * @param  {String} expression Expression.
+ * @param  {Object} context    Parse context.
+ * @param  {Object} context.names  Expression attribute names.
+ * @param  {Object} context.values Expression attribute values.
+ * @param  {Object} context.used   Used placeholders.
+ * @return {Object}            Parser.
+ */
+const Parser = (expression, context) => {
+	const tokens = tokenize(expression)
+	let position = 0
+	/** Returns the current token. */
+	const peek = (offset) => tokens[position + (offset || 0)]
+	/** Returns the current token, and moves to the next one. */
+	const next = () => {
+		if (position >= tokens.length) throw invalid(`Invalid expression: unexpected end of "${expression}"`)
+		return tokens[position++]
+	}
+	/** Checks if a token is the given keyword. */
+	const isKeyword = (token, keyword) => !!token && token.toUpperCase() === keyword
+	/** Consumes the expected token. */
+	const expect = (expected) => {
+		const token = next()
+		if (token !== expected && !isKeyword(token, expected)) {
+			throw invalid(`Invalid expression: expected "${expected}" but found "${token}" in "${expression}"`)
+		}
+	}
+	/** Checks if every token was consumed. */
+	const done = () => position >= tokens.length
+	/** Resolves an attribute name, or a #name placeholder. */
+	const name = (token) => {
+		if (token[0] === '#') {
+			if (!context.names || context.names[token] === undefined) {
+				throw invalid(`An expression attribute name used in the document path is not defined; attribute name: ${token}`)
+			}
+			context.used[token] = true
+			return context.names[token]
+		}
+		if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(token)) {
+			throw invalid(`Invalid expression: syntax error near "${token}"`)
+		}
+		return token
+	}
+	/** Resolves a :value placeholder. */
+	const value = (token) => {
+		if (!context.values || context.values[token] === undefined) {
+			throw invalid(`An expression attribute value used in expression is not defined; attribute value: ${token}`)
+		}
+		context.used[token] = true
+		return context.values[token]
+	}
+	/** Parses a document path, like #a.b[0]. */
+	const path = () => {
+		const result = [name(next())]
+		while (peek() === '.' || peek() === '[') {
+			if (next() === '.') {
+				result.push(name(next()))
+			} else {
+				result.push(Number(next()))
+				expect(']')
+			}
+		}
+		return result
+	}
+	/** Checks if the current token starts a function call. */
+	const isFunction = (fn) => isKeyword(peek(), fn.toUpperCase()) && peek(1) === '('
+	/////////////////
+	// CONDITIONS  //
+	/////////////////
+	/** Parses a condition operand, and returns its getter. */
+	const operand = () => {
+		if (isFunction('size')) {
+			next(); expect('(')
+			const target = path()
+			expect(')')
+			return (item) => sizeOf(getPath(item, target))
+		}
+		if (peek() !== undefined && peek()[0] === ':') {
+			const result = value(next())
+			return () => result
+		}
+		const target = path()
+		return (item) => getPath(item, target)
+	}
+	/** Parses a condition function, like begins_with(#a, :a). */
+	const conditionFunction = () => {
+		const fn = next().toLowerCase()
+		expect('(')
+		const target = path()
+		let argument
+		if (fn !== 'attribute_exists' && fn !== 'attribute_not_exists') {
+			expect(',')
+			argument = operand()
+		}
+		expect(')')
+		switch (fn) {
+		case 'attribute_exists':
+			return (item) => getPath(item, target) !== undefined
+		case 'attribute_not_exists':
+			return (item) => getPath(item, target) === undefined
+		case 'attribute_type':
+			return (item) => typeOf(getPath(item, target)) === argument(item)
+		case 'begins_with':
+			return (item) => {
+				const current = getPath(item, target)
+				const prefix = argument(item)
+				return typeof current === 'string' && typeof prefix === 'string' && current.indexOf(prefix) === 0
+			}
+		case 'contains':
+			return (item) => {
+				const current = getPath(item, target)
+				const needle = argument(item)
+				if (typeof current === 'string') return typeof needle === 'string' && current.indexOf(needle) > -1
+				if (isSet(current)) return current.values.indexOf(needle) > -1
+				if (Array.isArray(current)) return current.some(element => equals(element, needle))
+				return false
+			}
+		default:
+			throw invalid(`Invalid function name; function: ${fn}`)
+		}
+	}
+	/** Parses a comparison, BETWEEN or IN condition. */
+	const comparison = () => {
+		const left = operand()
+		const token = next()
+		if (isKeyword(token, 'BETWEEN')) {
+			const low = operand()
+			expect('AND')
+			const high = operand()
+			return (item) => {
+				const current = left(item)
+				return comparable(current, low(item)) && comparable(current, high(item)) &&
+					compare(current, low(item)) >= 0 && compare(current, high(item)) <= 0
+			}
+		}
+		if (isKeyword(token, 'IN')) {
+			expect('(')
+			const list = [operand()]
+			while (peek() === ',') {
+				next()
+				list.push(operand())
+			}
+			expect(')')
+			return (item) => list.some(element => equals(left(item), element(item)))
+		}
+		if (COMPARATORS.indexOf(token) === -1) {
+			throw invalid(`Invalid expression: syntax error near "${token}" in "${expression}"`)
+		}
+		const right = operand()
+		return (item) => {
+			const a = left(item)
+			const b = right(item)
+			switch (token) {
+			case '=': return equals(a, b)
+			case '<>': return a !== undefined && b !== undefined && !equals(a, b)
+			case '<': return comparable(a, b) && compare(a, b) < 0
+			case '<=': return comparable(a, b) && compare(a, b) <= 0
+			case '>': return comparable(a, b) && compare(a, b) > 0
+			case '>=': return comparable(a, b) && compare(a, b) >= 0
+			}
+		}
+	}
+	/** Parses a parenthesized condition, a function or a comparison. */
+	const primary = () => {
+		if (peek() === '(') {
+			next()
+			const result = condition()
+			expect(')')
+			return result
+		}
+		const fns = ['attribute_exists', 'attribute_not_exists', 'attribute_type', 'begins_with', 'contains']
+		if (fns.some(isFunction)) return conditionFunction()
+		return comparison()
+	}
+	/** Parses a NOT condition. */
+	const not = () => {
+		if (isKeyword(peek(), 'NOT')) {
+			next()
+			const inner = not()
+			return (item) => !inner(item)
+		}
+		return primary()
+	}
+	/** Parses a list of conditions joined by AND. */
+	const and = () => {
+		const list = [not()]
+		while (isKeyword(peek(), 'AND')) {
+			next()
+			list.push(not())
+		}
+		return (item) => list.every(fn => fn(item))
+	}
+	/** Parses a list of conditions joined by OR. */
+	const condition = () => {
+		const list = [and()]
+		while (isKeyword(peek(), 'OR')) {
+			next()
+			list.push(and())
+		}
+		return (item) => list.some(fn => fn(item))
+	}
+	/////////////
+	// UPDATES //
+	/////////////
+	/** Parses the value of a SET action. */
+	const updateOperand = () => {
+		if (isFunction('if_not_exists')) {
+			next(); expect('(')
+			const target = path()
+			expect(',')
+			const fallback = updateOperand()
+			expect(')')
+			return (item) => {
+				const current = getPath(item, target)
+				return current !== undefined ? current : fallback(item)
+			}
+		}
+		if (isFunction('list_append')) {
+			next(); expect('(')
+			const first = updateOperand()
+			expect(',')
+			const second = updateOperand()
+			expect(')')
+			return (item) => {
+				const a = first(item)
+				const b = second(item)
+				if (!Array.isArray(a) || !Array.isArray(b)) {
+					throw invalid('An operand in the update expression has an incorrect data type')
+				}
+				return a.concat(b)
+			}
+		}
+		return operand()
+	}
+	/** Parses a SET value, with an optional + or - operation. */
+	const setValue = () => {
+		const left = updateOperand()
+		if (peek() !== '+' && peek() !== '-') return left
+		const operator = next()
+		const right = updateOperand()
+		return (item) => {
+			const a = left(item)
+			const b = right(item)
+			if (typeof a !== 'number' || typeof b !== 'number') {
+				throw invalid('An operand in the update expression has an incorrect data type')
+			}
+			return operator === '+' ? a + b : a - b
+		}
+	}
+	/** Parses one action of an update clause. */
+	const action = (clause, actions) => {
+		const target = path()
+		if (clause === 'SET') {
+			expect('=')
+			actions.push({clause, path: target, value: setValue()})
+		} else if (clause === 'REMOVE') {
+			actions.push({clause, path: target})
+		} else {
+			const result = value(next())
+			actions.push({clause, path: target, value: () => result})
+		}
+	}
+	/** Parses the list of actions of an update expression. */
+	const update = () => {
+		const actions = []
+		while (!done()) {
+			const clause = next().toUpperCase()
+			if (CLAUSES.indexOf(clause) === -1) {
+				throw invalid(`Invalid UpdateExpression: syntax error near "${clause}"`)
+			}
+			action(clause, actions)
+			while (peek() === ',') {
+				next()
+				action(clause, actions)
+			}
+		}
+		return actions
+	}
+	/** Parses a list of projected paths. */
+	const projection = () => {
+		const list = [path()]
+		while (peek() === ',') {
+			next()
+			list.push(path())
+		}
+		return list
+	}
+
+	return {
+		condition: () => {
+			const result = condition()
+			if (!done()) throw invalid(`Invalid expression: syntax error near "${peek()}" in "${expression}"`)
+			return result
+		},
+		update,
+		projection,
+	}
+}
+/**
+ * Creates a parse context for a request.
+ * @param  {Object} params Request params.
+ * @return {Object}        Parse context.
+ */
+const context = (params) => ({
+	names: params.ExpressionAttributeNames,
+	values: params.ExpressionAttributeValues,
+	used: {},
+})
+/**
+ * Checks that every expression attribute name and value of a request
+ * was used by its expressions.
+ * @param  {Object} params  Request params.
+ * @param  {Object} context Parse context.
+ */
+const assertUsed = (params, context) => {
+	const unused = (map, label) => Object.keys(map || {})
+		.filter(key => !context.used[key])
+		.forEach(key => {
+			throw invalid(`Value provided in ${label} unused in expressions: keys: {${key}}`)
+		})
+	unused(params.ExpressionAttributeNames, 'ExpressionAttributeNames')
+	unused(params.ExpressionAttributeValues, 'ExpressionAttributeValues')
+}
+/**
+ * Parses a condition expression.
+ * @param  {String}   expression Condition expression.
+ * @param  {Object}   context    Parse context.
+ * @return {Function}            Item predicate.
+ */
+const parseCondition = (expression, context) =>
+	Parser(expression, context).condition()
+/**
+ * Parses a projection expression.
+ * @param  {String}   expression Projection expression.
+ * @param  {Object}   context    Parse context.
+ * @return {Function}            Item projection function.
+ */
+const parseProjection = (expression, context) => {
+	const paths = Parser(expression, context).projection()
+	/** Removes the holes left by the projected list indexes. */
+	const compact = (value) => {
+		if (Array.isArray(value)) return value.filter(() => true).map(compact)
+		if (!!value && typeof value === 'object' && !isSet(value) && !Buffer.isBuffer(value)) {
+			return Object.keys(value).reduce((acc, key) => {
+				acc[key] = compact(value[key])
+				return acc
+			}, {})
+		}
+		return value
+	}
+	return (item) => compact(paths.reduce((result, path) => {
+		const value = getPath(item, path)
+		if (value === undefined) return result
+		path.reduce((parent, segment, index) => {
+			if (index === path.length - 1) {
+				parent[segment] = value
+				return parent
+			}
+			if (parent[segment] === undefined) {
+				parent[segment] = typeof path[index + 1] === 'number' ? [] : {}
+			}
+			return parent[segment]
+		}, result)
+		return result
+	}, {}))
+}
+/**
+ * Parses an update expression.
+ * @param  {String}   expression Update expression.
+ * @param  {Object}   context    Parse context.
+ * @return {Object}              Update with the `apply` function, and the
+ *                               list of updated top level attributes.
+ */
+const parseUpdate = (expression, context) => {
+	const actions = Parser(expression, context).update()
+	return {
+		attributes: actions
+			.map(action => action.path[0])
+			.filter((name, index, list) => list.indexOf(name) === index),
+		/**
+		 * Applies the update to an item. Every value is computed
+		 * against the item before the update.
+		 * @param  {Object} item Item, modified in place.
+		 */
+		apply: (item) => {
+			const values = actions.map(action => !!action.value ? action.value(item) : undefined)
+			const removes = []
+			actions.forEach((action, index) => {
+				const value = values[index]
+				const current = getPath(item, action.path)
+				switch (action.clause) {
+				case 'SET':
+					return setPath(item, action.path, value)
+				case 'REMOVE':
+					return removes.push(action.path)
+				case 'ADD':
+					if (typeof value === 'number') {
+						if (current !== undefined && typeof current !== 'number') {
+							throw invalid('An operand in the update expression has an incorrect data type')
+						}
+						return setPath(item, action.path, (current || 0) + value)
+					}
+					if (isSet(value)) {
+						if (current !== undefined && (!isSet(current) || current.type !== value.type)) {
+							throw invalid('An operand in the update expression has an incorrect data type')
+						}
+						const values = (current ? current.values : []).concat(value.values)
+						return setPath(item, action.path, createSet(values
+							.filter((element, index) => values.indexOf(element) === index)))
+					}
+					throw invalid('Incorrect operand type for operator or function; operator: ADD')
+				case 'DELETE':
+					if (!isSet(value)) throw invalid('Incorrect operand type for operator or function; operator: DELETE')
+					if (current === undefined) return
+					if (!isSet(current) || current.type !== value.type) {
+						throw invalid('An operand in the update expression has an incorrect data type')
+					}
+					const remaining = current.values.filter(element => value.values.indexOf(element) === -1)
+					return remaining.length > 0 ?
+						setPath(item, action.path, createSet(remaining)) :
+						removePath(item, action.path)
+				}
+			})
+			removes
+				.sort((a, b) => compare(b[b.length - 1], a[a.length - 1]))
+				.forEach(path => removePath(item, path))
+		},
+	}
+}
+
+exports = module.exports = {
+	awsError,
+	compare,
+	context,
+	assertUsed,
+	parseCondition,
+	parseProjection,
+	parseUpdate,
+}
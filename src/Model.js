@@ -1,13 +1,22 @@
 'use strict';
 
+const Rx = require('rx')
 const debug = require('./debug.js')
+const backoff = require('./backoff.js')
 const RxDynamo = require('./RxDynamo/')
+const errors = require('./errors.js')
+const Hooks = require('./hooks.js')
+const Cursor = require('./cursor.js')
+const expressions = require('./expressions.js')
 const Joi = require('joi')
 const moment = require('moment')
 const base64url = require('base64-url')
 const deepAssign = require('deep-assign')
 const omitEmpty = require('omit-empty')
 const isObject = require('lodash/isObject')
+const uniq = require('lodash/uniq')
+const uniqBy = require('lodash/uniqBy')
+const cloneDeep = require('lodash/cloneDeep')
 
 const objectError = (key) => new Error(`"${key}" is not defined`)
 
@@ -18,6 +27,46 @@ const objectError = (key) => new Error(`"${key}" is not defined`)
  * @param {String} config.Schema     Joi Schema
  * @param {String} config.HashKey*   Table Hash Key
  * @param {String} config.RangeKey*  Table Range Key
+ * @param {Object} config.Indexes    Secondary indexes, by name, with their
+ *                                   own HashKey and RangeKey. `Local` and
+ *                                   `Projection` describe them for createTable.
+ * @param {Number} config.MaxRetries Retries for unprocessed batch items.
+ * @param {String} config.VersionAttribute Attribute used for optimistic locking.
+ *                                   A save that carries no version only creates
+ *                                   the item, failing if it already exists.
+ *                                   Updates and destroys that carry no version
+ *                                   are not checked, and saveAll is rejected.
+ * @param {Object} config.Timestamps Timestamp attributes: CreatedAt and UpdatedAt
+ *                                   names, Format (seconds, milliseconds or iso)
+ *                                   and Preserve, to keep CreatedAt when an item
+ *                                   is saved again. Preserve makes save() an
+ *                                   update, which merges the item into the
+ *                                   stored one, and saveAll() can not preserve
+ *                                   it. With UpdatedAt, updates set CreatedAt
+ *                                   on the items they create.
+ *                                   Set to false to disable them.
+ * @param {Object} config.TTL        Item expiry: Attribute holding the epoch
+ *                                   seconds TTL, and default Lifetime in seconds.
+ * @param {Object} config.KeyTemplates Key attributes composed from other item
+ *                                   attributes, like {PK: 'USER#{UserID}'}.
+ *                                   Table and index keys can have templates.
+ * @param {String} config.Entity     Entity type, for models sharing a table.
+ * @param {String} config.EntityAttribute Attribute holding the entity type.
+ *                                   Defaults to EntityType.
+ * @param {Object} config.Cursor     Page cursors options: Secret to sign them,
+ *                                   Encrypt to encrypt them, and TTL in seconds.
+ * @param {Object} config.SoftDelete Makes destroy() mark the items as deleted:
+ *                                   true, or the Attribute holding the deletion
+ *                                   time (DeletedAt by default) and ExpiresIn,
+ *                                   the seconds until the TTL removes them.
+ *                                   The TTL they had is kept in SavedTTL
+ *                                   (DeletedTTL by default) until restored.
+ * @param {String} config.Validation Schema validation mode on writes: strict,
+ *                                   warn or off (the default). Can also be an
+ *                                   object with a mode for save, saveAll and update.
+ * @param {Function} config.Logger   Logs the warn mode validation errors.
+ *                                   Defaults to console.warn.
+ * @param {Number} config.RetryDelay Base backoff delay in milliseconds.
  * @return {Object}                   Wrapper object.
  */
 function ModelConstructor (config) {
@@ -29,14 +78,32 @@ function ModelConstructor (config) {
 	const Schema = config.Schema
 	const HashKey = config.HashKey || 'ID'
 	const RangeKey = config.RangeKey || null
-	const OperandMapping = {
-		eq: '=',
-		ne: '<>',
-		le: '<=',
-		lt: '<',
-		ge: '>=',
-		gt: '>'
-	}
+	const Indexes = config.Indexes || {}
+	const VersionAttribute = config.VersionAttribute || null
+	const Validation = config.Validation || 'off'
+	const Logger = config.Logger || ((message) => console.warn(message))
+	const TTL = config.TTL || {}
+	const KeyTemplates = config.KeyTemplates || {}
+	const Entity = config.Entity || null
+	const EntityAttribute = config.EntityAttribute || 'EntityType'
+	const SoftDelete = !config.SoftDelete ? null : Object.assign(
+		{Attribute: 'DeletedAt', SavedTTL: 'DeletedTTL'},
+		config.SoftDelete === true ? {} : config.SoftDelete
+	)
+	const Timestamps = config.Timestamps === false ? {} : Object.assign(
+		{CreatedAt: 'CreatedAt', Format: 'seconds'},
+		!!config.Timestamps ? {UpdatedAt: 'UpdatedAt'} : {},
+		config.Timestamps
+	)
+	const MaxRetries = config.MaxRetries !== undefined ? config.MaxRetries : 10
+	const RetryDelay = config.RetryDelay !== undefined ? config.RetryDelay : 50
+	const hooks = Hooks()
+	const cursor = Cursor(config.Cursor)
+	const relations = {}
+	const BatchWriteLimit = 25
+	const BatchGetLimit = 100
+	const InOperandsLimit = 100
+	const HasManyStrategies = ['query', 'scan']
 	/////////////
 	// PRIVATE //
 	/////////////
@@ -44,14 +111,16 @@ function ModelConstructor (config) {
 	 * Takes the options object and returna another object
 	 * based on DynamoDB Document Client API.
 	 * @param  {Object} options Options object.
+	 * @param  {Object} params  Params the options will be merged into.
 	 * @return {Object}         DynamoDB Document Client object
 	 */
-	const _buildOptions = (options) => {
+	const _buildOptions = (options, params) => {
 		debug('= Model._buildOptions', JSON.stringify(options))
+		const context = _expressionContext(params)
 		const limit = _limitOptions(options)
-		const page = _pageOptions(options)
-		const filter = _filterOptions(options)
-		const fields = _fieldsOptions(options)
+		const page = _pageOptions(options, params)
+		const filter = _filterOptions(options, context)
+		const fields = _fieldsOptions(options, context, _keyNames(options.index))
 		const result = deepAssign({}, limit, page, filter, fields)
 		debug('= Model._buildOptions result', JSON.stringify(result))
 		return result
@@ -66,95 +135,287 @@ function ModelConstructor (config) {
 		return !!options.limit ? {Limit: options.limit} : {}
 	}
 	/**
-	 * DynamoDB page options constructor.
+	 * Describes the query a page cursor belongs to: the table, index,
+	 * key condition and filters. Signed cursors are bound to it.
+	 * @param  {Object} params  DynamoDB params, with the key condition.
+	 * @param  {Object} options Options object.
+	 * @return {Object}         Query description.
+	 */
+	const _cursorBinding = (params, options) => {
+		params || (params = {})
+		const keyCondition = params.KeyConditionExpression || ''
+		const values = params.ExpressionAttributeValues || {}
+		return {
+			TableName,
+			IndexName: params.IndexName || null,
+			KeyConditionExpression: keyCondition || null,
+			keys: Object.keys(values)
+				.filter(name => new RegExp(`${name}\\b`).test(keyCondition))
+				.sort()
+				.map(name => [name, values[name]]),
+			filters: (options || {}).filters || null,
+		}
+	}
+	/**
+	 * Checks if the items are sorted by ascending range key, which is
+	 * set with `options.order`. Items are sorted descending by default.
+	 * @param  {Object} options Options object.
+	 * @return {Boolean}        Ascending order query result.
+	 */
+	const _isAscending = (options) =>
+		String((options || {}).order).toLowerCase() === 'asc'
+	/**
+	 * DynamoDB page options constructor. A next page is read in the
+	 * order of the query, and a previous page, whose cursor starts with
+	 * a `-`, is read in the opposite order from its first item.
 	 * @param  {object} options Options object
+	 * @param  {Object} params  DynamoDB params, with the key condition.
 	 * @return {object}         DynamoDB page option.
 	 */
-	const _pageOptions = (options) => {
+	const _pageOptions = (options, params) => {
 		debug('= Model._pageOptions', JSON.stringify(options))
 		const page = options.page;
+		const binding = _cursorBinding(params, options)
 		if (!!page) {
-			if (page.charAt(0) === '-') {
-				const prevPage = page.substring(1, page.length)
+			if (_isPaginatingBackwards(options)) {
 				return {
-					ExclusiveStartKey: lastEvaluatedKey(prevPage),
-					ScanIndexForward: true,
+					ExclusiveStartKey: lastEvaluatedKey(page.substring(1), binding),
+					ScanIndexForward: !_isAscending(options),
 				}
 			} else {
 				return {
-					ExclusiveStartKey: lastEvaluatedKey(page),
-					ScanIndexForward: false,
+					ExclusiveStartKey: lastEvaluatedKey(page, binding),
+					ScanIndexForward: _isAscending(options),
 				}
 			}
 		}
 		return {}
 	}
 	/**
-	 * DynamoDb fields option.
+	 * Reads the projection of a read. `options.projection` is a list of
+	 * attribute paths, like `address.city` or `tags[0]`, or a comma
+	 * separated string of them, or an object with the `include` or the
+	 * `exclude` list of paths. The `fields` and `include_fields` options
+	 * are read as an include or exclude list too.
 	 * @param  {Object} options Options object.
+	 * @return {Object}         Projection with `include` or `exclude`
+	 *                          paths, null to read every attribute.
+	 */
+	const _projection = (options) => {
+		const list = (value) => (Array.isArray(value) ? value : String(value).split(','))
+			.map(path => String(path).trim())
+			.filter(path => path.length > 0)
+		const projection = options.projection
+		let result = null
+		if (!!projection) {
+			if (Array.isArray(projection) || typeof projection === 'string') {
+				result = {include: list(projection)}
+			} else if (!!projection.include && !!projection.exclude) {
+				throw new Error('"projection" can not include and exclude attributes')
+			} else if (!!projection.include) {
+				result = {include: list(projection.include)}
+			} else if (!!projection.exclude) {
+				result = {exclude: list(projection.exclude)}
+			}
+		} else if (!!options.fields && String(options.include_fields) === 'true') {
+			result = {include: list(options.fields)}
+		} else if (!!options.fields && String(options.include_fields) === 'false') {
+			result = {exclude: list(options.fields)}
+		}
+		const paths = !!result ? result.include || result.exclude : []
+		return paths.length > 0 ? result : null
+	}
+	/**
+	 * Returns the top level attribute of a document path.
+	 * @param  {String} path Document path, like `address.city` or `tags[0]`.
+	 * @return {String}      Attribute name.
+	 */
+	const _attributeOf = (path) => /^[^.[]*/.exec(path)[0]
+	/**
+	 * Returns the key attributes of the table and of an index.
+	 * @param  {String} index Index name.
+	 * @return {Array}        Key attribute names.
+	 */
+	const _keyNames = (index) => {
+		const indexKeys = _indexKeys(index)
+		return uniq([HashKey, RangeKey, indexKeys.HashKey, indexKeys.RangeKey].filter(name => !!name))
+	}
+	/**
+	 * Returns the soft delete marker, which reads that hide the deleted
+	 * items on the client must read.
+	 * @return {Array} Attribute names.
+	 */
+	const _softDeleteNames = () => !!SoftDelete ? [SoftDelete.Attribute] : []
+	/**
+	 * Returns the attributes the model writes itself: timestamps,
+	 * version, TTL and soft delete markers.
+	 * @return {Array} Attribute names.
+	 */
+	const _managedAttributes = () => [
+		Timestamps.CreatedAt,
+		Timestamps.UpdatedAt,
+		VersionAttribute,
+		TTL.Attribute,
+		!!SoftDelete ? SoftDelete.Attribute : null,
+		!!SoftDelete ? SoftDelete.SavedTTL : null,
+	].filter(name => !!name)
+	/**
+	 * Returns every attribute of the items, when the schema lists all of
+	 * them: the schema keys plus the attributes the model writes itself.
+	 * @return {Array} Attribute names, null if the schema allows others.
+	 */
+	const _schemaAttributes = () => {
+		const description = !!Schema ? Schema.describe() : {}
+		if (!description.children || (description.flags || {}).allowUnknown) return null
+		return uniq(Object.keys(description.children)
+			.concat(Object.keys(Indexes).reduce((acc, index) => acc.concat(_keyNames(index)), _keyNames()))
+			.concat(Object.keys(KeyTemplates))
+			.concat(_managedAttributes())
+			.concat(!!Entity ? [EntityAttribute] : []))
+	}
+	/**
+	 * DynamoDb fields option. Builds the ProjectionExpression of the
+	 * projection, adding the attributes in `keep`, which are removed
+	 * again by _refineItem(). Excluded attributes are left out of the
+	 * projection when the schema lists every attribute, and are removed
+	 * from the items otherwise.
+	 * @param  {Object} options Options object.
+	 * @param  {Object} context Expression context shared with other options.
+	 * @param  {Array}  keep    Attributes that must be read, like the keys
+	 *                          the page cursors are built from.
 	 * @return {Object}         DynamoDB fields options.
 	 */
-	const _fieldsOptions = (options) => {
+	const _fieldsOptions = (options, context, keep) => {
 		debug('= Model._fieldsOptions', JSON.stringify(options))
 		const params = {}
-		if (String(options.include_fields) === 'true' && options.fields) {
-			const fields = options.fields.split(',')
-			params.ProjectionExpression = fields
-				.map(field => `#${field}`)
-				.join(',')
-			const mapping = fields
-				.reduce((acc, attrName) => {
-					acc[`#${attrName}`] = attrName
-					return acc
-				}, {})
-			params.ExpressionAttributeNames = mapping
+		const projection = _projection(options)
+		const attributes = _schemaAttributes()
+		let paths = null
+		if (!!projection && !!projection.include) {
+			const names = projection.include.map(_attributeOf)
+			paths = projection.include.concat((keep || []).filter(name => names.indexOf(name) === -1))
+		} else if (!!projection && !!attributes) {
+			const excluded = projection.exclude.filter(path => _attributeOf(path) === path)
+			paths = attributes.filter(name => excluded.indexOf(name) === -1 || (keep || []).indexOf(name) > -1)
+		}
+		if (!!paths) {
+			const scope = _expressionScope(context || _expressionContext())
+			params.ProjectionExpression = expressions.projection(paths, scope)
+			params.ExpressionAttributeNames = scope.names
 		}
 		return params
 	}
 	/**
 	 * DynamoDB filters options.
 	 * @param  {Object} options Options object.
+	 * @param  {Object} context Expression context shared with other options.
 	 * @return {Object}         DynamoDB filters object.
 	 */
-	const _filterOptions = (options) => {
+	const _filterOptions = (options, context) => {
 		debug('= Model._filterOptions', JSON.stringify(options))
 		const dbOptions = {}
-		if (options.filters) {
-			const attributeNamesMapping = {}
-			const attributeValuesMapping = {}
-			const filterExpression = []
-			Object.keys(options.filters).forEach(key => {
-				const attrName = `#${key}`
-				attributeNamesMapping[attrName] = key
-				const conditions = options.filters[key]
-				Object.keys(conditions).forEach(operand => {
-					const value = conditions[operand]
-					const attrValue = `:${key}`
-					attributeValuesMapping[attrValue] = value
-					filterExpression.push(
-						_buildFilter(
-							attrName,
-							attrValue,
-							OperandMapping[operand]
-						)
-					)
-				})
-			})
-			dbOptions.ExpressionAttributeNames = attributeNamesMapping
-			dbOptions.ExpressionAttributeValues = attributeValuesMapping
+		const filters = _readFilters(options)
+		if (filters) {
+			const scope = _expressionScope(context || _expressionContext())
+			const filterExpression = _buildConditions(filters, scope)
+			dbOptions.ExpressionAttributeNames = scope.names
+			if (Object.keys(scope.values).length > 0) {
+				dbOptions.ExpressionAttributeValues = scope.values
+			}
 			dbOptions.FilterExpression = filterExpression.join(' AND ')
 		}
 		return dbOptions
 	}
 	/**
-	 * Filter builder function.
-	 * @param  {String} key     Key name.
-	 * @param  {String} value   Key value.
-	 * @param  {String} operand Key value operand.
-	 * @return {String}         Resulting filter.
+	 * Returns the filters of a read. With options.excludeExpired, the
+	 * items past their TTL that were not swept yet are filtered out,
+	 * and with soft deletes the deleted items are filtered out, unless
+	 * options.withDeleted or options.onlyDeleted are set.
+	 * @param  {Object} options Options object.
+	 * @return {Object}         Filters object.
+	 */
+	const _readFilters = (options) => {
+		const notExpired = !!options.excludeExpired && !!TTL.Attribute && {or: [
+			{[TTL.Attribute]: {not_exists: true}},
+			{[TTL.Attribute]: {gt: moment().unix()}},
+		]}
+		const filters = [options.filters, notExpired, _deletedFilter(options)]
+			.filter(filter => !!filter)
+		if (filters.length === 0) return undefined
+		return filters.length === 1 ? filters[0] : {and: filters}
+	}
+	/**
+	 * Returns the filter that hides the soft deleted items, or that only
+	 * shows them with options.onlyDeleted.
+	 * @param  {Object} options Options object.
+	 * @return {Object}         Filters object, null to show every item.
+	 */
+	const _deletedFilter = (options) => {
+		if (!SoftDelete || !!options.withDeleted) return null
+		return {[SoftDelete.Attribute]: !!options.onlyDeleted ? {exists: true} : {not_exists: true}}
+	}
+	/**
+	 * DynamoDB condition options. Takes a list of conditions, written
+	 * with the same language as the filters, and joins them with AND.
+	 * @param  {Array}  conditions List of conditions objects.
+	 * @param  {Object} context    Expression context shared with other expressions.
+	 * @return {Object}            DynamoDB condition options.
+	 */
+	const _conditionOptions = (conditions, context) => {
+		const params = {}
+		const defined = conditions.filter(condition => !!condition)
+		if (defined.length > 0) {
+			const scope = _expressionScope(context || _expressionContext())
+			params.ConditionExpression = defined
+				.reduce((acc, condition) => acc.concat(_buildConditions(condition, scope)), [])
+				.join(' AND ')
+			params.ExpressionAttributeNames = scope.names
+			if (Object.keys(scope.values).length > 0) {
+				params.ExpressionAttributeValues = scope.values
+			}
+		}
+		return params
+	}
+	/**
+	 * Builds the condition that checks the version of an item.
+	 * @param  {Number} version Expected version, undefined for new items.
+	 * @return {Object}         Version condition.
 	 */
-	const _buildFilter = (key, value, operand) => 
-		[key, operand, value].join(' ')
+	const _versionCondition = (version) =>
+		version === undefined ?
+			{[VersionAttribute]: {not_exists: true}} :
+			{[VersionAttribute]: {eq: version}}
+	/**
+	 * Maps the aws-sdk errors of a request to the library errors, for
+	 * DB instances that do not map them already.
+	 * @param  {String} operation DynamoDB method name.
+	 * @param  {Object} params    Request params.
+	 * @return {Function}         Rx catch handler.
+	 */
+	const _catchErrors = (operation, params) => (err) =>
+		Rx.Observable.throw(errors.fromAwsError(err, operation, params))
+	/**
+	 * Creates the context that keeps track of the placeholders of a
+	 * request. See expressions.context().
+	 * @param  {Object} params Params whose placeholders are already taken.
+	 * @return {Object}        Expression context.
+	 */
+	const _expressionContext = expressions.context
+	/**
+	 * Returns the placeholder helpers of one expression. See
+	 * expressions.scope().
+	 * @param  {Object} context Expression context.
+	 * @return {Object}         Expression scope.
+	 */
+	const _expressionScope = expressions.scope
+	/**
+	 * Builds the list of conditions of a filters object. See
+	 * expressions.conditions().
+	 * @param  {Object} filters Filters object.
+	 * @param  {Object} scope   Expression scope.
+	 * @return {Array}          List of conditions.
+	 */
+	const _buildConditions = expressions.conditions
 	/**
 	 * Remove unwanted fields from the object.
 	 * @param  {Object} item    Item object.
@@ -163,38 +424,104 @@ function ModelConstructor (config) {
 	 */
 	const _refineItem = (item, options) => {
 		debug('= Model._refineItem', JSON.stringify(options))
-		const refined = Object.assign({}, item)
-		if (String(options.include_fields) === 'false' && options.fields) {
-			const fields = options.fields.split(',')
-			fields.map(field => delete refined[field])
+		const projection = _projection(options)
+		const read = Object.assign({}, item)
+		if (!!projection && !!projection.include) {
+			const names = projection.include.map(_attributeOf)
+			Object.keys(Indexes)
+				.reduce((acc, index) => acc.concat(_keyNames(index)), _keyNames())
+				.concat(!!SoftDelete ? [SoftDelete.Attribute] : [])
+				.filter(name => names.indexOf(name) === -1)
+				.forEach(name => delete read[name])
+		}
+		const refined = Object.assign(_parseKeys(read), read)
+		if (!!projection && !!projection.exclude) {
+			const copy = cloneDeep(refined)
+			return _removePaths(copy, projection.exclude)
 		}
 		return refined
 	}
 	/**
-	 * Applies _refineItem() to a list of items
+	 * Removes document paths, like `address.city` or `tags[0]`, from
+	 * an item. Every path is resolved against the item as it was read,
+	 * so the list elements are only spliced once all are found, from
+	 * the last index to the first.
+	 * @param  {Object} item  Item.
+	 * @param  {Array}  paths Document paths.
+	 * @return {Object}       The same item.
+	 */
+	const _removePaths = (item, paths) => {
+		const lists = []
+		paths.forEach(path => {
+			const segments = path.split('.').reduce((acc, segment) => {
+				const match = /^(.*?)((\[\d+\])*)$/.exec(segment)
+				const indexes = (match[2].match(/\d+/g) || []).map(Number)
+				return acc.concat(match[1].length > 0 ? [match[1]] : [], indexes)
+			}, [])
+			const parent = segments.slice(0, -1).reduce((acc, segment) =>
+				isObject(acc) ? acc[segment] : undefined, item)
+			const last = segments[segments.length - 1]
+			if (Array.isArray(parent) && typeof last === 'number') {
+				lists.push({list: parent, index: last})
+			} else if (isObject(parent)) {
+				delete parent[last]
+			}
+		})
+		lists
+			.filter((removal, index) => lists.findIndex(other =>
+				other.list === removal.list && other.index === removal.index) === index)
+			.sort((a, b) => b.index - a.index)
+			.forEach(removal => removal.list.splice(removal.index, 1))
+		return item
+	}
+	/**
+	 * Applies _refineItem() to a list of items. When the model has an
+	 * Entity, the items of other entities are left out, unless a list of
+	 * models is given in `options.entities`: then each item is refined
+	 * by the model of its entity.
 	 * @param  {Array}  items   Items array.
 	 * @param  {Object} options Options object.
 	 * @return {Object}         Refined items.
 	 */
 	const _refineItems = (items, options) => {
 		debug('= Model._refineItems', JSON.stringify(options))
-		if (String(options.include_fields) === 'false' && options.fields) {
-			return items.map(item => _refineItem(item, options))
+		if (Array.isArray(options.entities)) {
+			return items.map(item => {
+				const model = options.entities.filter(model => model._isEntity(item))[0]
+				return !!model ? model._refineItem(item, options) : item
+			})
+		}
+		if (!!Entity || Object.keys(KeyTemplates).length > 0 || !!_projection(options)) {
+			return items
+				.filter(item => item[EntityAttribute] === undefined || _isEntity(item))
+				.map(item => _refineItem(item, options))
 		} else {
 			return items
 		}
 	}
+	/**
+	 * Asks for one item more than the page limit. When that item is
+	 * found, there is a next page, even if it is the last item of the
+	 * query, whose LastEvaluatedKey would otherwise hint one more page.
+	 * @param  {Object} params DynamoDB query params.
+	 * @return {Object}        DynamoDB query params.
+	 */
+	const _lookahead = (params) =>
+		!!params.Limit ? Object.assign({}, params, {Limit: params.Limit + 1}) : params
 	/**
 	 * Builds the resonse for the client, applying the 
-	 * filter options provided for every item.
+	 * filter options provided for every item. The item read ahead is
+	 * dropped, and the items of a previous page are put back in the
+	 * order of the query.
 	 * @param  {Array}  result  DynamoDB items result.
 	 * @param  {Object} params  DynamoDB query params.
 	 * @param  {Object} options Documen objects.
 	 * @return {Object}         Refined response.
 	 */
 	const _buildResponse = (result, params, options) => {
-		const items = result.Items;
-		if (_isPaginatingBackwards(options)) items.reverse()
+		const found = result.Items || []
+		const page = !!options.limit ? found.slice(0, options.limit) : found.slice()
+		const items = _isPaginatingBackwards(options) ? page.reverse() : page
 		const response = {items: _refineItems(items, options)}
 		const paginationKeys = _buildPaginationKey(
 			result,
@@ -202,10 +529,14 @@ function ModelConstructor (config) {
 			items,
 			options
 		)
-		return deepAssign(response, paginationKeys)
+		return deepAssign(response, paginationKeys, {
+			hasNext: !!paginationKeys.nextPage,
+			hasPrev: !!paginationKeys.prevPage,
+		})
 	}
 	/**
-	 * Builds the pagination key
+	 * Builds the pagination key. When the filters left a page empty,
+	 * the query goes on from the LastEvaluatedKey.
 	 * @param  {Object} result  DynamoDB result.
 	 * @param  {Object} params  DynamoDB params.
 	 * @param  {Array}  items   DynamoDB result items.
@@ -215,15 +546,22 @@ function ModelConstructor (config) {
 	const _buildPaginationKey = (result, params, items, options) => {
 		debug('= Model._buildPaginationKey', JSON.stringify(params))
 		const paginationKey = {}
-		if (items && items.length > 0) {
+		const binding = _cursorBinding(params, options)
+		if ((!items || items.length === 0) && !!result.LastEvaluatedKey) {
+			if (_isPaginatingBackwards(options)) {
+				paginationKey.prevPage = prevPage(result.LastEvaluatedKey, binding)
+			} else {
+				paginationKey.nextPage = nextPage(result.LastEvaluatedKey, binding)
+			}
+		} else if (items && items.length > 0) {
 			if (_hasNextPage(result, options)) {
 				const lastItem = items[items.length - 1]
-				const nextPage = _buildNextKey(lastItem)
+				const nextPage = _buildNextKey(lastItem, options, binding)
 				Object.assign(paginationKey, nextPage)
 			}
 			if (!_isFirstPage(result, params, options)) {
 				const firstItem = items[0]
-				const prevKey = _buildPrevKey(firstItem)
+				const prevKey = _buildPrevKey(firstItem, options, binding)
 				Object.assign(paginationKey, prevKey)
 			}
 		}
@@ -240,22 +578,26 @@ function ModelConstructor (config) {
 	/**
 	 * Build the next key
 	 * @param  {Object} lastItem Last item
+	 * @param  {Object} options  Additional options.
+	 * @param  {Object} binding  Query the cursor belongs to.
 	 * @return {Object}          Next page key.
 	 */
-	const _buildNextKey = (lastItem) => {
+	const _buildNextKey = (lastItem, options, binding) => {
 		debug('= Model._buildNextKey', lastItem)
-		const lastKey = _buildItemKey(lastItem)
-		return {nextPage: nextPage(lastKey)}
+		const lastKey = _buildItemKey(lastItem, (options || {}).index)
+		return {nextPage: nextPage(lastKey, binding)}
 	}
 	/**
 	 * Build the previous key
 	 * @param  {Object} firstItem Last item
+	 * @param  {Object} options   Additional options.
+	 * @param  {Object} binding   Query the cursor belongs to.
 	 * @return {Object}          Previous page key.
 	 */
-	const _buildPrevKey = (firstItem) => {
+	const _buildPrevKey = (firstItem, options, binding) => {
 		debug('= Model._buildPrevKey', firstItem)
-		const firstItemKey = _buildItemKey(firstItem)
-		return {prevPage: prevPage(firstItemKey)}
+		const firstItemKey = _buildItemKey(firstItem, (options || {}).index)
+		return {prevPage: prevPage(firstItemKey, binding)}
 	}
 	/**
 	 * Checks if it is the first page.
@@ -266,18 +608,101 @@ function ModelConstructor (config) {
 	 */
 	const _isFirstPage = (result, params, options) => {
 		options || (options = {})
-    return !params.ExclusiveStartKey ||
-      (!!params.ExclusiveStartKey && 
-    	_isPaginatingBackwards(options) &&
-    	!result.LastEvaluatedKey);
-  }
+		return !params.ExclusiveStartKey ||
+			(_isPaginatingBackwards(options) && !result.LastEvaluatedKey)
+	}
 	/**
 	 * Checks if paginatio is configured backward.
 	 * @param  {Object} options Additional options.
 	 * @return {Boolean}        Pagination backwards query result.
 	 */
 	const _isPaginatingBackwards = (options) => 
-		options.page && options.page.charAt(0) === '-'
+		!!options.page && options.page.charAt(0) === '-'
+ 	/**
+ 	 * Returns the current time in the configured timestamps format.
+ 	 * @return {Number|String} Current timestamp.
+ 	 */
+	const _now = () => {
+		switch (Timestamps.Format) {
+		case 'milliseconds':
+			return moment().valueOf()
+		case 'iso':
+			return moment().toISOString()
+		default:
+			return moment().unix()
+		}
+	}
+	/**
+	 * Returns the timestamp attributes of a new item.
+	 * @param  {Object} item Item to be saved.
+	 * @return {Object}      CreatedAt and UpdatedAt attributes.
+	 */
+	const _timestamps = (item) => {
+		const now = _now()
+		const timestamps = {}
+		if (!!Timestamps.CreatedAt) {
+			timestamps[Timestamps.CreatedAt] = item[Timestamps.CreatedAt] !== undefined ?
+				item[Timestamps.CreatedAt] :
+				now
+		}
+		if (!!Timestamps.UpdatedAt) {
+			timestamps[Timestamps.UpdatedAt] = now
+		}
+		return timestamps
+	}
+ 	/**
+ 	 * Converts a date, moment or epoch seconds number to epoch seconds.
+ 	 * @param  {Date|Object|Number|String} date Date to convert.
+ 	 * @return {Number}                         Epoch seconds.
+ 	 */
+	const _epoch = (date) =>
+		typeof date === 'number' ? Math.floor(date) : moment(date).unix()
+	/**
+	 * Returns the TTL of a write. The per call `expiresAt` or `expiresIn`
+	 * options win over the item value, that wins over the default
+	 * Lifetime, which only applies to new items.
+	 * @param  {Object}  item     Item to be written.
+	 * @param  {Object}  options  Options object.
+	 * @param  {Boolean} defaults Apply the default Lifetime.
+	 * @return {Object}           TTL attribute, or an empty object.
+	 */
+	const _expiry = (item, options, defaults) => {
+		if (!TTL.Attribute) return {}
+		let expiresAt
+		if (options.expiresAt !== undefined) {
+			expiresAt = _epoch(options.expiresAt)
+		} else if (options.expiresIn !== undefined) {
+			expiresAt = moment().unix() + options.expiresIn
+		} else if (item[TTL.Attribute] !== undefined) {
+			expiresAt = item[TTL.Attribute]
+		} else if (defaults && TTL.Lifetime !== undefined) {
+			expiresAt = moment().unix() + TTL.Lifetime
+		}
+		return expiresAt !== undefined ? {[TTL.Attribute]: expiresAt} : {}
+	}
+	/**
+	 * Checks if an item is past its TTL, when options.excludeExpired is set.
+	 * @param  {Object}  item    Item object.
+	 * @param  {Object}  options Options object.
+	 * @return {Boolean}         Expired item query result.
+	 */
+	const _isExpired = (item, options) =>
+		!!options.excludeExpired && !!TTL.Attribute &&
+		item[TTL.Attribute] !== undefined &&
+		item[TTL.Attribute] <= moment().unix()
+	/**
+	 * Checks if a read should leave an item out, because it expired or
+	 * because of its soft delete marker. See _deletedFilter().
+	 * @param  {Object}  item    Item object.
+	 * @param  {Object}  options Options object.
+	 * @return {Boolean}         Hidden item query result.
+	 */
+	const _isHidden = (item, options) => {
+		if (_isExpired(item, options)) return true
+		if (!SoftDelete || !!options.withDeleted) return false
+		const deleted = item[SoftDelete.Attribute] !== undefined
+		return !!options.onlyDeleted ? !deleted : deleted
+	}
  	/**
  	 * Validates the model with the schema using Joi.
  	 * @param  {Object} model Item object.
@@ -289,12 +714,67 @@ function ModelConstructor (config) {
 		return !result.error
 	}
 	/**
-	 * Builds the DynamoDB Key
-	 * @param  {String} hash  Hash key.
+	 * Returns the validation mode of an operation.
+	 * @param  {String} operation Operation name: save, saveAll or update.
+	 * @param  {Object} options   Options object, with an optional `validation`.
+	 * @return {String}           Validation mode: strict, warn or off.
+	 */
+	const _validationMode = (operation, options) => {
+		if (!!options.validation) return options.validation
+		if (isObject(Validation)) return Validation[operation] || 'off'
+		return Validation
+	}
+	/**
+	 * Validates an item against the schema before writing it. Returns
+	 * the item with the Joi defaults and conversions applied. In strict
+	 * mode an invalid item throws a ValidationError, in warn mode it is
+	 * passed to the Logger and written as it is. The attributes the model
+	 * writes itself are only validated when the schema lists them.
+	 * @param  {Object}  item      Item or attributes to validate.
+	 * @param  {String}  operation Operation name: save, saveAll or update.
+	 * @param  {Object}  options   Options object.
+	 * @param  {Boolean} partial   Only validate the attributes present.
+	 * @return {Object}            Validated item.
+	 */
+	const _validateWrite = (item, operation, options, partial) => {
+		const mode = _validationMode(operation, options)
+		if (!Schema || mode === 'off') return item
+		const children = Object.keys(Schema.describe().children || {})
+		const schema = partial ? Schema.optionalKeys(children) : Schema
+		const managed = _managedAttributes()
+			.filter(name => children.indexOf(name) === -1 && item[name] !== undefined)
+		const attrs = Object.keys(item)
+			.filter(name => managed.indexOf(name) === -1)
+			.reduce((acc, name) => {
+				acc[name] = item[name]
+				return acc
+			}, {})
+		const result = Joi.validate(attrs, schema, {abortEarly: false, noDefaults: !!partial})
+		if (!result.error) {
+			return managed.reduce((acc, name) => {
+				acc[name] = item[name]
+				return acc
+			}, result.value)
+		}
+		const error = new errors.ValidationError(
+			`Invalid item for "${TableName}": ${result.error.message}`,
+			{tableName: TableName, operation, params: item, details: result.error.details}
+		)
+		if (mode === 'warn') {
+			Logger(error.message)
+			return item
+		}
+		throw error
+	}
+	/**
+	 * Builds the DynamoDB Key. With key templates, the hash can be an
+	 * object with the attributes the keys are composed from.
+	 * @param  {String} hash  Hash key, or item attributes.
 	 * @param  {String} range Range key.
 	 * @return {Object}       DynamoDB Key.
 	 */
 	const _buildKey = (hash, range) => {
+		if (_isAttributes(hash)) return _buildItemKey(hash)
 		const key = {}
 		key[HashKey] = hash
 		if (!!RangeKey) {
@@ -303,170 +783,1322 @@ function ModelConstructor (config) {
 		return key
 	}
 	/**
-	 * Build the DynamoDB Key from an Item
-	 * @param  {Object} item Item object.
-	 * @return {Object}      DynamoDB Key.
+	 * Build the DynamoDB Key from an Item. When an index name is given
+	 * the index keys are included, so the key can be used as the
+	 * ExclusiveStartKey of an index query. Missing key attributes are
+	 * composed from their key templates.
+	 * @param  {Object} item  Item object.
+	 * @param  {String} index Index name.
+	 * @return {Object}       DynamoDB Key.
 	 */
-	const _buildItemKey = (item) => {
+	const _buildItemKey = (item, index) => {
+		item = Object.assign(_composeKeys(item), item)
 		const key = {}
 		key[HashKey] = item[HashKey]
 		if (!!RangeKey) {
 			key[RangeKey] = item[RangeKey]
 		}
+		if (!!index) {
+			const indexKeys = _indexKeys(index)
+			key[indexKeys.HashKey] = item[indexKeys.HashKey]
+			if (!!indexKeys.RangeKey) {
+				key[indexKeys.RangeKey] = item[indexKeys.RangeKey]
+			}
+		}
 		return key
 	}
-	// TODO:
-	// Find out what is this for...
-	const _buildAttributesUpdates = (params) => {
-		const attrUpdates = {}
-		for (let key in params) {
-			if (key !== HashKey && key !== RangeKey) {
-				attrUpdates[key] = {
-					Action: 'PUT',
-					Value: params[key]
+	/**
+	 * Checks if a key value is an object of attributes to compose the
+	 * key from, instead of the key itself.
+	 * @param  {Any}     value Key value.
+	 * @return {Boolean}       Attributes query result.
+	 */
+	const _isAttributes = (value) =>
+		Object.keys(KeyTemplates).length > 0 &&
+		isObject(value) && !Array.isArray(value) && !Buffer.isBuffer(value)
+	/**
+	 * Composes a key from its template and the item attributes. A
+	 * partial key stops after the last attribute before the first
+	 * missing one, so it can be used as a begins_with prefix.
+	 * @param  {String}  name    Key attribute name.
+	 * @param  {Object}  attrs   Item attributes.
+	 * @param  {Boolean} partial Compose a prefix if attributes are missing.
+	 * @return {String}          Key, or undefined if attributes are missing.
+	 */
+	const _composeKey = (name, attrs, partial) => {
+		const parts = KeyTemplates[name].split(/(\{\w+\})/)
+		let key = ''
+		let prefix = null
+		for (let i = 0; i < parts.length; i++) {
+			const attribute = /^\{(\w+)\}$/.exec(parts[i])
+			if (!attribute) {
+				key += parts[i]
+			} else if (attrs[attribute[1]] === undefined || attrs[attribute[1]] === null) {
+				return !partial ? undefined : prefix !== null ? prefix : key
+			} else {
+				key += String(attrs[attribute[1]])
+				prefix = key
+			}
+		}
+		return key
+	}
+	/**
+	 * Composes every key template whose attributes are in the item.
+	 * @param  {Object} item Item attributes.
+	 * @return {Object}      Composed key attributes.
+	 */
+	const _composeKeys = (item) => Object.keys(KeyTemplates).reduce((acc, name) => {
+		const key = _composeKey(name, item)
+		if (key !== undefined) acc[name] = key
+		return acc
+	}, {})
+	/**
+	 * Parses the attributes of the composed keys of an item.
+	 * @param  {Object} item Item.
+	 * @return {Object}      Attributes read from the keys.
+	 */
+	const _parseKeys = (item) => Object.keys(KeyTemplates).reduce((acc, name) => {
+		if (typeof item[name] !== 'string') return acc
+		const attributes = []
+		const pattern = KeyTemplates[name].split(/(\{\w+\})/)
+			.map(part => {
+				const attribute = /^\{(\w+)\}$/.exec(part)
+				if (!attribute) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+				attributes.push(attribute[1])
+				return '(.*?)'
+			})
+			.join('')
+		const match = new RegExp(`^${pattern}$`).exec(item[name])
+		if (!match) return acc
+		attributes.forEach((attribute, index) => {
+			acc[attribute] = _attributeType(attribute) === 'N' ?
+				Number(match[index + 1]) :
+				match[index + 1]
+		})
+		return acc
+	}, {})
+	/**
+	 * Adds the composed keys, and the entity type, to an item.
+	 * @param  {Object} item Item.
+	 * @return {Object}      Item with its keys.
+	 */
+	const _withKeys = (item) => Object.assign({}, item, _composeKeys(item),
+		!!Entity ? {[EntityAttribute]: Entity} : {})
+	/**
+	 * Removes the composed keys, and the entity type, from an item, so
+	 * an item that was read can be validated and saved again.
+	 * @param  {Object} item Item.
+	 * @return {Object}      Item without its composed keys.
+	 */
+	const _stripKeys = (item) => {
+		const names = Object.keys(KeyTemplates).concat(!!Entity ? [EntityAttribute] : [])
+		if (names.length === 0) return item
+		return Object.keys(item)
+			.filter(name => names.indexOf(name) === -1)
+			.reduce((acc, name) => {
+				acc[name] = item[name]
+				return acc
+			}, {})
+	}
+	/**
+	 * Checks if an item belongs to the model entity. Every item does
+	 * when the model has no Entity.
+	 * @param  {Object}  item Item.
+	 * @return {Boolean}      Entity query result.
+	 */
+	const _isEntity = (item) => !Entity || (!!item && item[EntityAttribute] === Entity)
+	/**
+	 * Composes the key values of a key condition that are given as
+	 * objects of attributes. Range values are composed as prefixes.
+	 * @param  {String}  name    Key attribute name.
+	 * @param  {Any}     value   Key value, attributes, or list of them.
+	 * @param  {Boolean} partial Compose a prefix if attributes are missing.
+	 * @return {Any}             Key value.
+	 */
+	const _keyValue = (name, value, partial) => {
+		if (Array.isArray(value)) return value.map(element => _keyValue(name, element, partial))
+		if (!_isAttributes(value) || !KeyTemplates[name]) return value
+		const key = _composeKey(name, value, partial)
+		if (key === undefined) throw new Error(`Missing attributes to compose the "${name}" key`)
+		return key
+	}
+	/**
+	 * Returns the key names of the table or of one of its indexes.
+	 * @param  {String} index Index name.
+	 * @return {Object}       HashKey and RangeKey names.
+	 */
+	const _indexKeys = (index) => {
+		if (!index) return {HashKey, RangeKey}
+		const definition = Indexes[index]
+		if (!definition) throw objectError(index)
+		return {
+			HashKey: definition.HashKey,
+			RangeKey: definition.RangeKey || null,
+		}
+	}
+	/**
+	 * DynamoDB key condition options, for the table or for the index
+	 * set in options.index, narrowed by the options.range condition,
+	 * like {gt: 1}, {between: [1, 5]} or {begins_with: 'a'}.
+	 * @param  {String} key     Hash key name.
+	 * @param  {String} value   Hash key value.
+	 * @param  {Object} options Options object.
+	 * @return {Object}         DynamoDB key condition options.
+	 */
+	const _keyConditionOptions = (key, value, options) => {
+		const params = {}
+		const condition = {[key]: {eq: _keyValue(key, value)}}
+		if (!!options.index) {
+			_indexKeys(options.index)
+			params.IndexName = options.index
+		}
+		if (!!options.range) {
+			const rangeKey = _indexKeys(options.index).RangeKey
+			if (!rangeKey) throw objectError('RangeKey')
+			condition[rangeKey] = Object.keys(options.range).reduce((acc, operand) => {
+				acc[operand] = _keyValue(rangeKey, options.range[operand], true)
+				return acc
+			}, {})
+		}
+		const scope = _expressionScope(_expressionContext())
+		return Object.assign(params, {
+			KeyConditionExpression: expressions.keyCondition(condition, scope),
+			ExpressionAttributeNames: scope.names,
+			ExpressionAttributeValues: scope.values,
+		})
+	}
+	/**
+	 * Splits a list into chunks of a given size.
+	 * @param  {Array}  list List to split.
+	 * @param  {Number} size Chunk size.
+	 * @return {Array}       List of chunks.
+	 */
+	const _chunk = (list, size) => {
+		const chunks = []
+		for (let i = 0; i < list.length; i += size) {
+			chunks.push(list.slice(i, i + size))
+		}
+		return chunks
+	}
+	/**
+	 * Returns the item key affected by a batchWrite request.
+	 * @param  {Object} request PutRequest or DeleteRequest object.
+	 * @return {Object}         DynamoDB Key.
+	 */
+	const _writeRequestKey = (request) =>
+		!!request.PutRequest ?
+			_buildItemKey(request.PutRequest.Item) :
+			request.DeleteRequest.Key
+	/**
+	 * Sends a batch request and resends whatever DynamoDB reports as
+	 * unprocessed, with exponential backoff, until nothing is left or
+	 * the retry cap is reached. Emits one value per attempt.
+	 * @param  {Array}    pending       Requests or keys to send.
+	 * @param  {Function} send          Returns the batch observable for a list.
+	 * @param  {Function} unprocessedOf Extracts the unprocessed list of a result.
+	 * @param  {Object}   options       Retry options.
+	 * @return {Observable}             Attempts observable.
+	 */
+	const _retryUnprocessed = (pending, send, unprocessedOf, options) => {
+		const maxRetries = options.maxRetries !== undefined ?
+			options.maxRetries : MaxRetries
+		const baseDelay = options.retryDelay !== undefined ?
+			options.retryDelay : RetryDelay
+		const attempt = (pending, retries) =>
+			send(pending)
+				.flatMap(result => {
+					const unprocessed = unprocessedOf(result || {})
+					const current = Rx.Observable.just({result, unprocessed, retries})
+					if (unprocessed.length === 0 || retries >= maxRetries) {
+						return current
+					}
+					debug('= Model._retryUnprocessed retry', retries + 1, unprocessed.length)
+					return current.concat(Rx.Observable
+						.timer(backoff(retries, {baseDelay}), options.scheduler)
+						.flatMap(() => attempt(unprocessed, retries + 1)))
+				})
+		return attempt(pending, 0)
+	}
+	/**
+	 * Sends a chunk of write requests, resending the UnprocessedItems
+	 * until they are all written or the retry cap is reached.
+	 * @param  {Array}  requests List of write requests.
+	 * @param  {Object} options  Retry options.
+	 * @return {Observable}      Chunk summary observable.
+	 */
+	const _batchWriteChunk = (requests, options) =>
+		_retryUnprocessed(
+			requests,
+			pending => db.batchWrite({RequestItems: {[TableName]: pending}}),
+			result => (result.UnprocessedItems || {})[TableName] || [],
+			options
+		)
+			.last()
+			.map(attempt => ({
+				written: requests.length - attempt.unprocessed.length,
+				failed: attempt.unprocessed.map(_writeRequestKey),
+				retries: attempt.retries,
+			}))
+	/**
+	 * Writes a list of requests in chunks of 25 and reduces the
+	 * chunk results into a single summary.
+	 * @param  {Array}  requests List of write requests.
+	 * @param  {Object} options  Retry options.
+	 * @return {Observable}      Batch write summary observable.
+	 */
+	const _batchWrite = (requests, options) =>
+		Rx.Observable.from(_chunk(requests, BatchWriteLimit))
+			.concatMap(chunk => _batchWriteChunk(chunk, options))
+			.reduce((summary, chunk) => ({
+				written: summary.written + chunk.written,
+				failed: summary.failed.concat(chunk.failed),
+				retries: summary.retries.concat(chunk.retries),
+			}), {written: 0, failed: [], retries: []})
+	/**
+	 * Soft deletes the item of a key for destroyAll, resending the
+	 * throttled updates with the batch retry options. Any other error
+	 * reports the key as failed instead of ending the whole job.
+	 * @param  {Array}  key     Hash and range of the item.
+	 * @param  {Object} options Retry and destroy options.
+	 * @return {Observable}     Key summary observable.
+	 */
+	const _softDestroyKey = (key, options) => {
+		const maxRetries = options.maxRetries !== undefined ?
+			options.maxRetries : MaxRetries
+		const baseDelay = options.retryDelay !== undefined ?
+			options.retryDelay : RetryDelay
+		const attempt = (retries) =>
+			destroy(key[0], key[1], options)
+				.map(() => ({written: 1, failed: [], retries}))
+				.catch(err => {
+					if (err instanceof errors.ThrottlingError && retries < maxRetries) {
+						debug('= Model._softDestroyKey retry', retries + 1, key)
+						return Rx.Observable
+							.timer(backoff(retries, {baseDelay}), options.scheduler)
+							.flatMap(() => attempt(retries + 1))
+					}
+					debug('= Model._softDestroyKey failed', key, err.message)
+					return Rx.Observable.just({written: 0, failed: [_buildKey(key[0], key[1])], retries})
+				})
+		return attempt(0)
+	}
+	/**
+	 * Reads a chunk of keys, resending the UnprocessedKeys until
+	 * they are all read or the retry cap is reached.
+	 * @param  {Array}  keys    List of DynamoDB keys.
+	 * @param  {Object} params  Extra params for the table request.
+	 * @param  {Object} options Retry options.
+	 * @return {Observable}     Items observable.
+	 */
+	const _batchGetChunk = (keys, params, options) =>
+		_retryUnprocessed(
+			keys,
+			pending => db.batchGet({
+				RequestItems: {[TableName]: Object.assign({}, params, {Keys: pending})}
+			}),
+			result => ((result.UnprocessedKeys || {})[TableName] || {}).Keys || [],
+			options
+		)
+			.reduce((items, attempt) =>
+				items.concat((attempt.result.Responses || {})[TableName] || []), [])
+	/**
+	 * Serializes a DynamoDB key so it can be used as a lookup index.
+	 * @param  {Object} key DynamoDB key.
+	 * @return {String}     Serialized key.
+	 */
+	const _keyId = (key) =>
+		JSON.stringify([key[HashKey], !!RangeKey ? key[RangeKey] : null])
+	/**
+	 * Builds the DynamoDB scan params. Scans only move forward, so the
+	 * page token is turned into an ExclusiveStartKey without a sort order.
+	 * @param  {Object} options Options object.
+	 * @return {Object}         DynamoDB scan params.
+	 */
+	const _scanOptions = (options) => {
+		debug('= Model._scanOptions', JSON.stringify(options))
+		const params = deepAssign(
+			{TableName},
+			_limitOptions(options),
+			_filterOptions(options),
+			_fieldsOptions(options)
+		)
+		if (!!options.page) {
+			params.ExclusiveStartKey = lastEvaluatedKey(options.page, _cursorBinding({}, options))
+		}
+		if (options.segment !== undefined) {
+			params.Segment = options.segment
+			params.TotalSegments = options.totalSegments
+		}
+		return params
+	}
+	/**
+	 * Follows the LastEvaluatedKey of a query or scan lazily, emitting
+	 * the items one by one. The next page is only requested once the
+	 * items of the current one have been consumed, so disposing the
+	 * subscription stops the reads.
+	 * @param  {String} method  DynamoDB method name, query or scan.
+	 * @param  {Object} params  DynamoDB params.
+	 * @param  {Object} options Options object. `maxPages` caps the pages read.
+	 * @return {Observable}     Items observable.
+	 */
+	const _streamPages = (method, params, options) => {
+		const page = (startKey, pages) =>
+			db[method](Object.assign({}, params, !!startKey ? {ExclusiveStartKey: startKey} : {}))
+				.flatMap(result => {
+					const items = Rx.Observable.from(_refineItems(result.Items || [], options))
+					const hasMore = !!result.LastEvaluatedKey &&
+						(!options.maxPages || pages + 1 < options.maxPages)
+					return hasMore ?
+						items.concat(Rx.Observable.defer(() => page(result.LastEvaluatedKey, pages + 1))) :
+						items
+				})
+		return Rx.Observable.defer(() => page(params.ExclusiveStartKey, 0))
+	}
+	/**
+	 * Queries a page of items. The Limit is applied before the
+	 * FilterExpression, so a filtered page can come back short: the
+	 * query then goes on from the LastEvaluatedKey, with the same Limit,
+	 * until the page is full or there is nothing left to read. A full
+	 * page ends on the key of the item that fills it, even when the
+	 * last query read past it.
+	 * @param  {Object} params DynamoDB query params.
+	 * @param  {Array}  found  Items already read for the page.
+	 * @return {Observable}    DynamoDB query result with all the page items.
+	 */
+	const _queryPage = (params, found) => {
+		found || (found = [])
+		return db.query(params)
+			.flatMap(result => {
+				const items = found.concat(result.Items || [])
+				const full = !!params.Limit && items.length >= params.Limit
+				if (!params.Limit || !params.FilterExpression || !result.LastEvaluatedKey || full) {
+					const last = full ?
+						{LastEvaluatedKey: _buildItemKey(items[params.Limit - 1], params.IndexName)} : {}
+					return Rx.Observable.just(Object.assign({}, result, {Items: items}, last))
+				}
+				return _queryPage(Object.assign({}, params, {
+					ExclusiveStartKey: result.LastEvaluatedKey,
+				}), items)
+			})
+	}
+	/**
+	 * Compiles a list of update actions into an UpdateExpression.
+	 * @param  {Array}  actions List of {type, path, value} actions.
+	 * @param  {Object} context Expression context shared with other expressions.
+	 * @return {Object}         DynamoDB update expression params.
+	 */
+	const _buildUpdateExpression = (actions, context) => {
+		const scope = _expressionScope(context || _expressionContext())
+		const params = {UpdateExpression: expressions.update(actions, scope)}
+		if (Object.keys(scope.names).length > 0) {
+			params.ExpressionAttributeNames = scope.names
+		}
+		if (Object.keys(scope.values).length > 0) {
+			params.ExpressionAttributeValues = scope.values
+		}
+		return params
+	}
+	/**
+	 * Validates the top level attributes set by a list of update
+	 * actions against the schema, and applies the Joi conversions.
+	 * @param  {Array}  actions List of update actions.
+	 * @param  {Object} options Options object.
+	 */
+	const _validateActions = (actions, options) => {
+		const sets = actions.filter(action =>
+			(action.type === 'set' || action.type === 'setIfNotExists') &&
+			!action.internal &&
+			!/[.\[]/.test(action.path))
+		if (sets.length === 0) return
+		const attrs = sets.reduce((acc, action) => {
+			acc[action.path] = action.value
+			return acc
+		}, {})
+		const validated = _validateWrite(attrs, 'update', options, true)
+		sets.forEach(action => action.value = validated[action.path])
+	}
+	/**
+	 * Fluent update builder. Every method but params() and exec()
+	 * returns the builder, so the actions can be chained.
+	 * @param  {Object} key     DynamoDB Key of the item to update.
+	 * @param  {Object} options Options object, with the `validation` mode.
+	 * @return {Object}         Update builder.
+	 */
+	const _updateBuilder = (key, options) => {
+		options || (options = {})
+		const actions = []
+		const conditions = []
+		let returnValues = 'ALL_NEW'
+		let expectedVersion
+		const builder = {}
+		const action = (type, values) => (attrs, value) => {
+			if (typeof attrs === 'string') {
+				actions.push({type, path: attrs, value: values(value)})
+			} else {
+				Object.keys(attrs).forEach(path =>
+					actions.push({type, path, value: values(attrs[path])}))
+			}
+			return builder
+		}
+		const identity = (value) => value
+		/** Sets attributes, as (path, value) or as an {path: value} object. */
+		builder.set = action('set', identity)
+		/** Sets attributes only if they do not exist yet. */
+		builder.setIfNotExists = action('setIfNotExists', identity)
+		/** Adds a number to an attribute, or elements to a set. */
+		builder.add = action('add', identity)
+		/** Deletes elements from a set. */
+		builder.delete = action('delete', identity)
+		/** Appends one or more elements to a list. */
+		builder.append = action('append', value => Array.isArray(value) ? value : [value])
+		/** Removes attributes, given as arguments or as a list. */
+		builder.remove = function () {
+			const paths = [].concat.apply([], arguments)
+			paths.forEach(path => actions.push({type: 'remove', path}))
+			return builder
+		}
+		/** Sets the DynamoDB ReturnValues option. Defaults to ALL_NEW. */
+		builder.returnValues = (value) => {
+			returnValues = value
+			return builder
+		}
+		/** Only updates the item if the condition, written as a filter, is met. */
+		builder.condition = (condition) => {
+			conditions.push(condition)
+			return builder
+		}
+		/** Only updates the item if its version matches the expected one. */
+		builder.version = (version) => {
+			expectedVersion = version
+			return builder
+		}
+		/** Sets the TTL attribute to a date, moment or epoch seconds. */
+		builder.expiresAt = (date) => {
+			if (!TTL.Attribute) throw objectError('TTL.Attribute')
+			actions.push({type: 'set', path: TTL.Attribute, value: _epoch(date), internal: true})
+			return builder
+		}
+		/** Sets the TTL attribute to some seconds from now. */
+		builder.expiresIn = (seconds) =>
+			builder.expiresAt(moment().unix() + seconds)
+		/**
+		 * Marks the item as soft deleted. If SoftDelete.ExpiresIn is set,
+		 * the TTL is replaced and the previous one, or null, is saved.
+		 */
+		builder.softDelete = () => {
+			if (!SoftDelete) throw objectError('SoftDelete')
+			actions.push({type: 'set', path: SoftDelete.Attribute, value: _now(), internal: true})
+			if (SoftDelete.ExpiresIn === undefined) return builder
+			if (!TTL.Attribute) throw objectError('TTL.Attribute')
+			actions.push({
+				type: 'setIfNotExists',
+				path: SoftDelete.SavedTTL,
+				from: TTL.Attribute,
+				value: null,
+				internal: true,
+			})
+			return builder.expiresIn(SoftDelete.ExpiresIn)
+		}
+		/**
+		 * Removes the soft delete marker. If SoftDelete.ExpiresIn is set,
+		 * the TTL is set back to the given saved one, or removed.
+		 */
+		builder.restore = (savedTTL) => {
+			if (!SoftDelete) throw objectError('SoftDelete')
+			if (SoftDelete.ExpiresIn === undefined) return builder.remove(SoftDelete.Attribute)
+			builder.remove(SoftDelete.Attribute, SoftDelete.SavedTTL)
+			return savedTTL !== undefined && savedTTL !== null ?
+				builder.expiresAt(savedTTL) :
+				builder.remove(TTL.Attribute)
+		}
+		/** Returns the DynamoDB update params. Throws if there is nothing to update. */
+		builder.params = () => {
+			const context = _expressionContext()
+			_validateActions(actions, options)
+			if (actions.length === 0 && !Timestamps.UpdatedAt && !VersionAttribute) {
+				throw new Error(`Nothing to update in "${TableName}"`)
+			}
+			const versionActions = []
+			const versionConditions = []
+			const now = _now()
+			const touched = (path) => actions.some(action => action.path === path)
+			const timestampActions = !Timestamps.UpdatedAt ? [] : [].concat(
+				!touched(Timestamps.UpdatedAt) ?
+					[{type: 'set', path: Timestamps.UpdatedAt, value: now}] :
+					[],
+				!!Timestamps.CreatedAt && !touched(Timestamps.CreatedAt) ?
+					[{type: 'setIfNotExists', path: Timestamps.CreatedAt, value: now}] :
+					[]
+			)
+			if (!!VersionAttribute) {
+				if (expectedVersion === undefined) {
+					versionActions.push({type: 'add', path: VersionAttribute, value: 1})
+				} else {
+					versionActions.push({type: 'set', path: VersionAttribute, value: expectedVersion + 1})
+					versionConditions.push(_versionCondition(expectedVersion))
 				}
 			}
+			return deepAssign({
+				TableName,
+				Key: key,
+				ReturnValues: returnValues,
+			},
+			_buildUpdateExpression(actions.concat(timestampActions, versionActions), context),
+			_conditionOptions(conditions.concat(versionConditions), context))
+		}
+		/** Runs the update and returns the updated attributes. */
+		builder.exec = () => Rx.Observable.defer(() => {
+			const params = builder.params()
+			debug('= Model.update', JSON.stringify(params))
+			return _sendUpdate(params).map(result => result.Attributes)
+		})
+		return builder
+	}
+	/**
+	 * Sends update params through the update hooks, mapping the errors.
+	 * @param  {Object} params DynamoDB update params.
+	 * @return {Observable}    DynamoDB update observable.
+	 */
+	const _sendUpdate = (params) =>
+		_withHooks('update', params, params =>
+			db.update(params)
+				.catch(_catchErrors('update', params)))
+	/**
+	 * Removes the key attributes from an attributes object.
+	 * @param  {Object} attrs Attributes object.
+	 * @return {Object}       Attributes without the keys.
+	 */
+	const _omitKeys = (attrs) =>
+		Object.keys(attrs)
+			.filter(key => key !== HashKey && key !== RangeKey)
+			.reduce((acc, key) => {
+				acc[key] = attrs[key]
+				return acc
+			}, {})
+	/**
+	 * Builds the DynamoDB put params of save().
+	 * @param  {Object} item    Item to be saved.
+	 * @param  {Object} options Options object.
+	 * @return {Object}         DynamoDB put params.
+	 */
+	const _saveParams = (item, options) => {
+		const validated = _withKeys(_validateWrite(_stripKeys(item), 'save', options))
+		const params = deepAssign({
+			TableName,
+			Item: Object.assign({}, validated, _timestamps(validated), _expiry(item, options, true)),
+			ReturnValues: 'ALL_OLD',
+		}, _conditionOptions([
+			options.condition,
+			!!VersionAttribute && _versionCondition(item[VersionAttribute]),
+		]))
+		if (!!VersionAttribute) {
+			params.Item[VersionAttribute] = (item[VersionAttribute] || 0) + 1
+		}
+		return params
+	}
+	/**
+	 * Builds the request of save(). Usually a put, but when the model
+	 * preserves CreatedAt the item is written with an update, so
+	 * CreatedAt can be set with if_not_exists. Beware that the update
+	 * merges the attributes into the stored item instead of replacing
+	 * it: the stored attributes the item lacks are kept.
+	 * @param  {Object} item    Item to be saved.
+	 * @param  {Object} options Options object.
+	 * @return {Object}         Request type, Put or Update, and params.
+	 */
+	const _saveRequest = (item, options) => {
+		if (!Timestamps.Preserve || !Timestamps.CreatedAt) {
+			return {type: 'Put', params: _saveParams(item, options)}
+		}
+		const validated = _withKeys(_validateWrite(_stripKeys(item), 'save', options))
+		const attrs = _omitKeys(validated)
+		delete attrs[Timestamps.CreatedAt]
+		delete attrs[VersionAttribute]
+		delete attrs[TTL.Attribute]
+		const builder = _updateBuilder(_buildItemKey(validated), {validation: 'off'})
+			.set(attrs)
+			.setIfNotExists(Timestamps.CreatedAt, validated[Timestamps.CreatedAt] !== undefined ?
+				validated[Timestamps.CreatedAt] :
+				_now())
+			.returnValues('ALL_OLD')
+		const expiry = _expiry(item, options, true)
+		if (!!TTL.Attribute && expiry[TTL.Attribute] !== undefined) {
+			builder.expiresAt(expiry[TTL.Attribute])
+		}
+		if (!!options.condition) builder.condition(options.condition)
+		if (!!VersionAttribute) {
+			if (item[VersionAttribute] === undefined) {
+				builder.condition(_versionCondition())
+			} else {
+				builder.version(item[VersionAttribute])
+			}
+		}
+		return {type: 'Update', params: builder.params()}
+	}
+	/**
+	 * Builds the DynamoDB get params of get().
+	 * @param  {String} hash    Hash key value.
+	 * @param  {String} range   Range key value.
+	 * @param  {Object} options Options object.
+	 * @return {Object}         DynamoDB get params.
+	 */
+	const _getParams = (hash, range, options) => {
+		const defaultParams = {
+			TableName,
+			Key: _buildKey(hash, range),
+		}
+		const optionalParams = _fieldsOptions(options, null, _softDeleteNames())
+		return Object.assign({}, defaultParams, optionalParams)
+	}
+	/**
+	 * Returns the update builder of update(attrs, hash, range).
+	 * @param  {Object} attrs   Fields to edit.
+	 * @param  {String} hash    Hash key.
+	 * @param  {String} range   Range key.
+	 * @param  {Object} options Options object.
+	 * @return {Object}         Update builder.
+	 */
+	const _attributesUpdate = (attrs, hash, range, options) => {
+		const changes = _omitKeys(attrs)
+		const builder = _updateBuilder(_buildKey(hash, range), options)
+		if (!!VersionAttribute && changes[VersionAttribute] !== undefined) {
+			builder.version(changes[VersionAttribute])
+			delete changes[VersionAttribute]
+		}
+		if (!!VersionAttribute && options.version !== undefined) builder.version(options.version)
+		if (!!options.condition) builder.condition(options.condition)
+		if (!!TTL.Attribute && changes[TTL.Attribute] !== undefined) {
+			builder.expiresAt(changes[TTL.Attribute])
+			delete changes[TTL.Attribute]
+		}
+		if (options.expiresAt !== undefined) builder.expiresAt(options.expiresAt)
+		if (options.expiresIn !== undefined) builder.expiresIn(options.expiresIn)
+		return builder.set(changes)
+	}
+	/**
+	 * Builds the DynamoDB delete params of destroy().
+	 * @param  {String} hash    Hash key.
+	 * @param  {String} range   Range key.
+	 * @param  {Object} options Options object.
+	 * @return {Object}         DynamoDB delete params.
+	 */
+	const _destroyParams = (hash, range, options) =>
+		deepAssign({
+			TableName,
+			Key: _buildKey(hash, range)
+		}, _conditionOptions([
+			options.condition,
+			!!VersionAttribute && options.version !== undefined &&
+				_versionCondition(options.version),
+		]))
+	/**
+	 * Builds the request of destroy(). A delete, or, with soft deletes,
+	 * an update that marks the item as deleted if it exists and is not
+	 * deleted yet. Inside a transaction, that condition cancels it.
+	 * @param  {String} hash    Hash key.
+	 * @param  {String} range   Range key.
+	 * @param  {Object} options Options object.
+	 * @return {Object}         Request type, Delete or Update, and params.
+	 */
+	const _destroyRequest = (hash, range, options) => {
+		if (!SoftDelete) return {type: 'Delete', params: _destroyParams(hash, range, options)}
+		const builder = _updateBuilder(_buildKey(hash, range), options)
+			.softDelete()
+			.condition({[HashKey]: {exists: true}, [SoftDelete.Attribute]: {not_exists: true}})
+			.returnValues('NONE')
+		if (!!options.condition) builder.condition(options.condition)
+		if (!!VersionAttribute && options.version !== undefined) builder.version(options.version)
+		return {type: 'Update', params: builder.params()}
+	}
+	/**
+	 * Runs an operation through its hooks. The before hooks get the
+	 * DynamoDB params, and can change them or resolve the operation
+	 * without calling DynamoDB. The after hooks get the result, and can
+	 * change it. Global hooks, registered on the RxDynamo instance, run
+	 * around the model hooks.
+	 * @param  {String}   operation Operation name.
+	 * @param  {Object}   params    DynamoDB params.
+	 * @param  {Function} execute   Takes the params and returns the result observable.
+	 * @return {Observable}         Result observable.
+	 */
+	const _withHooks = (operation, params, execute) => {
+		const globalHooks = !!db.hooks ? db.hooks : Hooks()
+		const context = {operation, TableName, resolve: Hooks.resolve}
+		const before = globalHooks.list('before', operation)
+			.concat(hooks.list('before', operation))
+		const after = hooks.list('after', operation)
+			.concat(globalHooks.list('after', operation))
+		return Hooks.run(before, params, context)
+			.flatMap(value => {
+				if (Hooks.isResolved(value)) return Rx.Observable.just(value.result)
+				return execute(value)
+					.flatMap(result => Hooks.run(after, result, Object.assign({params: value}, context)))
+					.map(result => Hooks.isResolved(result) ? result.result : result)
+			})
+	}
+	/**
+	 * Reads the list of relation names of the `include` option.
+	 * @param  {Object} options Options object.
+	 * @return {Array}          Relation names.
+	 */
+	const _includeNames = (options) => {
+		const include = (options || {}).include
+		if (!include) return []
+		const names = Array.isArray(include) ? include : String(include).split(',')
+		return names.map(name => name.trim()).filter(name => {
+			if (!relations[name]) throw objectError(`relation ${name}`)
+			return true
+		})
+	}
+	/**
+	 * Loads the parents of a belongsTo relation with a batch get of
+	 * the distinct foreign keys, and attaches them to the items.
+	 * @param  {Array}  items    List of items.
+	 * @param  {Object} relation Relation definition.
+	 * @return {Observable}      Items observable.
+	 */
+	const _includeBelongsTo = (items, relation) => {
+		const foreignKeys = [].concat(relation.foreignKey)
+		const keyOf = (item) => foreignKeys.map(name => item[name])
+		const keys = items
+			.map(keyOf)
+			.filter(key => key[0] !== undefined)
+			.filter((key, index, list) =>
+				list.findIndex(other => JSON.stringify(other) === JSON.stringify(key)) === index)
+		if (keys.length === 0) return Rx.Observable.just(items)
+		return relation.model.getAll(keys, {ordered: true})
+			.map(parents => {
+				const byKey = keys.reduce((acc, key, index) => {
+					acc[JSON.stringify(key)] = parents[index]
+					return acc
+				}, {})
+				return items.map(item => Object.assign(item, {
+					[relation.as]: byKey[JSON.stringify(keyOf(item))] || null,
+				}))
+			})
+	}
+	/**
+	 * Reads the children of a hasMany relation with one query stream
+	 * per parent key, as DynamoDB can not batch queries.
+	 * @param  {Array}  values   Distinct parent keys.
+	 * @param  {Object} relation Relation definition.
+	 * @return {Observable}      Observable of {value, children}.
+	 */
+	const _queryChildren = (values, relation) =>
+		Rx.Observable.from(values)
+			.map(value => relation.model
+				.streamBy(relation.foreignKey, value, {index: relation.options.index})
+				.toArray()
+				.map(children => ({value, children})))
+			.merge(relation.options.concurrency || 5)
+	/**
+	 * Reads the children of a hasMany relation with one filtered scan
+	 * per 100 parent keys, the most an IN condition takes.
+	 * @param  {Array}  values   Distinct parent keys.
+	 * @param  {Object} relation Relation definition.
+	 * @return {Observable}      Observable of {value, children}.
+	 */
+	const _scanChildren = (values, relation) =>
+		Rx.Observable.from(_chunk(values, InOperandsLimit))
+			.concatMap(chunk => relation.model.scanAll({
+				filters: {[relation.foreignKey]: {in: chunk}},
+			}))
+			.toArray()
+			.flatMap(children => Rx.Observable.from(values.map(value => ({
+				value,
+				children: children.filter(child => child[relation.foreignKey] === value),
+			}))))
+	/**
+	 * Loads the children of a hasMany relation and attaches them to
+	 * the items. The `strategy` option of the relation picks how they
+	 * are read: `query` sends one query per distinct parent key, and
+	 * `scan` sends one scan of the child table per 100 of them.
+	 * @param  {Array}  items    List of items.
+	 * @param  {Object} relation Relation definition.
+	 * @return {Observable}      Items observable.
+	 */
+	const _includeHasMany = (items, relation) => {
+		const localKey = relation.options.localKey || HashKey
+		const values = items
+			.map(item => item[localKey])
+			.filter((value, index, list) => value !== undefined && list.indexOf(value) === index)
+		const children = relation.options.strategy === 'scan' ?
+			_scanChildren(values, relation) :
+			_queryChildren(values, relation)
+		return children
+			.reduce((acc, result) => {
+				acc[JSON.stringify(result.value)] = result.children
+				return acc
+			}, {})
+			.map(byValue => items.map(item => Object.assign(item, {
+				[relation.as]: byValue[JSON.stringify(item[localKey])] || [],
+			})))
+	}
+	/**
+	 * Attaches the related items of the relations in `options.include`.
+	 * Empty items, and the null placeholders of getAll, are skipped.
+	 * @param  {Array}  items   List of items.
+	 * @param  {Object} options Options object.
+	 * @return {Observable}     Items observable.
+	 */
+	const _include = (items, options) => {
+		const names = _includeNames(options)
+		const loaded = items.filter(item => !!item && Object.keys(item).length > 0)
+		if (names.length === 0 || loaded.length === 0) return Rx.Observable.just(items)
+		return Rx.Observable.from(names)
+			.concatMap(name => relations[name].type === 'belongsTo' ?
+				_includeBelongsTo(loaded, relations[name]) :
+				_includeHasMany(loaded, relations[name]))
+			.last()
+			.map(() => items)
+	}
+	/**
+	 * Returns the DynamoDB type of a key attribute, read from the
+	 * schema. Attributes missing from the schema are strings.
+	 * @param  {String} name Attribute name.
+	 * @return {String}      Attribute type: S, N or B.
+	 */
+	const _attributeType = (name) => {
+		const children = !!Schema ? Schema.describe().children || {} : {}
+		const type = (children[name] || {}).type
+		return type === 'number' ? 'N' : type === 'binary' ? 'B' : 'S'
+	}
+	/**
+	 * Builds the createTable params of the model table, with its key
+	 * schema, attribute types and indexes. Indexes are global unless
+	 * they are `Local`, and project ALL attributes unless they set a
+	 * `Projection`: KEYS_ONLY, ALL or a list of attributes.
+	 * @param  {Object} options Options object. `billingMode` is
+	 *                          PAY_PER_REQUEST or PROVISIONED, with
+	 *                          `readCapacity` and `writeCapacity`.
+	 * @return {Object}         DynamoDB createTable params.
+	 */
+	const _createTableParams = (options) => {
+		options || (options = {})
+		const keySchema = (hash, range) => [
+			{AttributeName: hash, KeyType: 'HASH'},
+			{AttributeName: range, KeyType: 'RANGE'},
+		].filter(key => !!key.AttributeName)
+		const billingMode = options.billingMode || 'PAY_PER_REQUEST'
+		const throughput = {
+			ReadCapacityUnits: options.readCapacity || 5,
+			WriteCapacityUnits: options.writeCapacity || 5,
+		}
+		const indexes = Object.keys(Indexes).map(IndexName => {
+			const definition = Indexes[IndexName]
+			const projection = definition.Projection || 'ALL'
+			const index = {
+				IndexName,
+				KeySchema: keySchema(definition.HashKey, definition.RangeKey),
+				Projection: Array.isArray(projection) ?
+					{ProjectionType: 'INCLUDE', NonKeyAttributes: projection} :
+					{ProjectionType: projection},
+			}
+			if (!definition.Local && billingMode === 'PROVISIONED') {
+				index.ProvisionedThroughput = throughput
+			}
+			return {local: !!definition.Local, index}
+		})
+		const attributes = [HashKey, RangeKey]
+			.concat(Object.keys(Indexes).map(name => Indexes[name].HashKey))
+			.concat(Object.keys(Indexes).map(name => Indexes[name].RangeKey))
+			.filter((name, index, list) => !!name && list.indexOf(name) === index)
+		const params = {
+			TableName,
+			AttributeDefinitions: attributes.map(AttributeName => ({
+				AttributeName,
+				AttributeType: _attributeType(AttributeName),
+			})),
+			KeySchema: keySchema(HashKey, RangeKey),
+			BillingMode: billingMode,
 		}
-		return attrUpdates
+		if (billingMode === 'PROVISIONED') params.ProvisionedThroughput = throughput
+		const globals = indexes.filter(index => !index.local).map(index => index.index)
+		const locals = indexes.filter(index => index.local).map(index => index.index)
+		if (globals.length > 0) params.GlobalSecondaryIndexes = globals
+		if (locals.length > 0) params.LocalSecondaryIndexes = locals
+		return params
 	}
  	////////////
 	// PUBLIC //
 	////////////
 	/**
 	 * Save an item to the table.
-	 * @param  {Object} item Item to be saved
-	 * @return {Observable}  DynamoDB get observable.
+	 * @param  {Object} item    Item to be saved
+	 * @param  {Object} options Options object. `condition` guards the put
+	 *                          with a condition written as a filter,
+	 *                          `validation` overrides the validation mode,
+	 *                          and `expiresAt` or `expiresIn` set the TTL.
+	 * @return {Observable}     DynamoDB get observable.
 	 */
-	const save = (item) => {
+	const save = (item, options) => {
+		options || (options = {})
 		debug('= Model.save', item)
-		const params = {
-			TableName,
-			Item: item,
-			ReturnValues: 'ALL_OLD',
-		}
-		params.Item.CreatedAt = moment().unix()
-		return db.put(params)
+		return Rx.Observable.defer(() => {
+			const request = _saveRequest(item, options)
+			const method = request.type === 'Put' ? 'put' : 'update'
+			return _withHooks('save', request.params, params =>
+				db[method](params)
+					.catch(_catchErrors(method, params)))
+		})
 	}
 	/**
-	 * Save all the items to the table as a batch job.
-	 * @param  {Array} items List of items to be saved.
-	 * @return {Observable}  DynamoDB batchWrite observable.
+	 * Save all the items to the table as a batch job. The items are
+	 * sent in chunks of 25, and unprocessed items are retried. Batch
+	 * writes can not be conditional, so versioned models emit an error,
+	 * and a preserved CreatedAt is only kept when the item carries it.
+	 * @param  {Array}  items   List of items to be saved.
+	 * @param  {Object} options Retry options (maxRetries, retryDelay, scheduler),
+	 *                          `validation` to override the validation mode,
+	 *                          and `expiresAt` or `expiresIn` to set the TTL.
+	 * @return {Observable}     Summary with written, failed and retries.
 	 */
-	const saveAll = (items) => {
+	const saveAll = (items, options) => {
+		options || (options = {})
 		debug('= Model.saveAll', items)
-		const params = {RequestItems: {}}
-		params.RequestItems[TableName] = items.map(item => ({
-			PutRequest: {Item: omitEmpty(Object.assign({}, item, {
-				CreatedAt: moment().unix()
-			}))}
-		}))
-		return db.batchWrite(params)
+		return Rx.Observable.defer(() => {
+			if (!!VersionAttribute) {
+				return Rx.Observable.throw(new Error(`saveAll can not check the versions of "${TableName}" items, use save`))
+			}
+			const requests = items.map(item => {
+				const validated = _withKeys(_validateWrite(_stripKeys(item), 'saveAll', options))
+				return {
+					PutRequest: {Item: omitEmpty(Object.assign({}, validated, _timestamps(validated),
+						_expiry(item, options, true)))}
+				}
+			})
+			return _withHooks('saveAll', {RequestItems: {[TableName]: requests}}, params =>
+				_batchWrite(params.RequestItems[TableName], options))
+		})
 	}
 	/**
-	 * Delete all the items associated to the keys list
-	 * @param  {Array} keys List of object keys to delete.
-	 * @return {Observable} DynamoDB batchWrite observable.
+	 * Delete all the items associated to the keys list. The keys are
+	 * sent in chunks of 25, and unprocessed items are retried. With soft
+	 * deletes, each item is marked as deleted with its own update, and
+	 * like with a batch delete the missing items count as written. The
+	 * throttled updates are retried, and the keys that still fail are
+	 * reported in `failed`.
+	 * @param  {Array}  keys    List of object keys to delete.
+	 * @param  {Object} options Retry options (maxRetries, retryDelay, scheduler),
+	 *                          `concurrency` for the soft delete updates, and
+	 *                          the destroy options they are sent with.
+	 * @return {Observable}     Summary with written, failed and retries.
 	 */
-	const destroyAll = (keys) => {
+	const destroyAll = (keys, options) => {
+		options || (options = {})
 		debug('= Model.destroyAll', keys)
-		const params = {RequestItems: {}}
-		params.RequestItems[TableName] = keys.map(key => ({
+		if (!!SoftDelete) {
+			return Rx.Observable.from(keys)
+				.map(key => _softDestroyKey(key, options))
+				.merge(options.concurrency || BatchWriteLimit)
+				.reduce((summary, result) => ({
+					written: summary.written + result.written,
+					failed: summary.failed.concat(result.failed),
+					retries: summary.retries.concat(result.retries),
+				}), {written: 0, failed: [], retries: []})
+		}
+		const requests = keys.map(key => ({
 			DeleteRequest: {Key: _buildKey(key[0], key[1])}
 		}))
-		return db.batchWrite(params)
+		return _batchWrite(requests, options)
 	}
 	/**
 	 * Gets an item from the table
 	 * @param  {String} hash    Hash key value.
 	 * @param  {String} range   Range key value.
 	 * @param  {Object} options Options to define how to get the item.
+	 *                          `excludeExpired` hides items past their TTL,
+	 *                          `required` emits an ItemNotFoundError
+	 *                          instead of an empty object, `include`
+	 *                          lists the relations to load,
+	 *                          `projection` the attributes to read, and
+	 *                          `withDeleted` or `onlyDeleted` show the soft
+	 *                          deleted items.
 	 * @return {Observable}     DynamoDB get observable.
 	 */
 	const get = (hash, range, options) => {
 		options || (options = {})
-		const defaultParams = {
-			TableName,
-			Key: _buildKey(hash, range),
-		}
-		const optionalParams = _buildOptions(options)
-		const params = Object.assign({}, defaultParams, optionalParams)
-		return db.get(params)
-			.map(result => {
-				return !!result.Item ? _refineItem(result.Item, options) : {}
+		const params = _getParams(hash, range, options)
+		return _withHooks('get', params, params =>
+			db.get(params)
+				.flatMap(result => {
+					if (!!result.Item && !_isHidden(result.Item, options)) {
+						return Rx.Observable.just(_refineItem(result.Item, options))
+					}
+					if (!!options.required) {
+						return Rx.Observable.throw(new errors.ItemNotFoundError(
+							`Item not found in "${TableName}"`,
+							{tableName: TableName, operation: 'get', params: errors.sanitizeParams(params)}
+						))
+					}
+					return Rx.Observable.just({})
+				}))
+			.flatMap(item => _include([item], options).map(items => items[0]))
+	}
+	/**
+	 * Gets many items from the table in chunks of 100 keys. Repeated keys
+	 * are only read once, since DynamoDB rejects them in a batch get.
+	 * @param  {Array}  keys    List of [hash, range] keys.
+	 * @param  {Object} options Same options as get(), plus retry options and
+	 *                          `ordered` to return the items in key order
+	 *                          with null for the keys not found.
+	 * @return {Observable}     List of items observable.
+	 */
+	const getAll = (keys, options) => {
+		options || (options = {})
+		debug('= Model.getAll', keys)
+		const dbKeys = keys.map(key => _buildKey(key[0], key[1]))
+		const uniqueKeys = uniqBy(dbKeys, _keyId)
+		const fields = _fieldsOptions(options, null,
+			(options.ordered ? _keyNames() : []).concat(_softDeleteNames()))
+		return Rx.Observable.from(_chunk(uniqueKeys, BatchGetLimit))
+			.concatMap(chunk => _batchGetChunk(chunk, fields, options))
+			.reduce((items, chunk) => items.concat(chunk), [])
+			.map(items => items.filter(item => !_isHidden(item, options)))
+			.map(items => {
+				if (!options.ordered) return _refineItems(items, options)
+				const byKey = items.reduce((acc, item) => {
+					acc[_keyId(item)] = item
+					return acc
+				}, {})
+				return dbKeys.map(key => {
+					const item = byKey[_keyId(key)]
+					return !!item ? _refineItem(item, options) : null
+				})
 			})
 	}
 	/**
-	 * Updates an item from the table.
-	 * @param  {Object} attrs  Fields to edit.
-	 * @param  {String} hash   Hash key.
-	 * @param  {String} range  Range key.
-	 * @return {Observable}    DynamoDB update observable.
+	 * Updates an item from the table. Called with only the item key it
+	 * returns an update builder, like:
+	 *
+	 *   update({ID: 1}).set({Name: 'x'}).remove('Tmp').add({Count: 1}).exec()
+	 *
+	 * When the model is versioned and the attributes or the options carry
+	 * the version, the update is rejected if the stored version is a
+	 * different one. Without it, the stored version is just incremented.
+	 * @param  {Object} attrs   Fields to edit, or the item key.
+	 * @param  {String} hash    Hash key.
+	 * @param  {String} range   Range key.
+	 * @param  {Object} options Options object, with a `condition`, the expected
+	 *                          `version`, the `validation` mode and `expiresAt`
+	 *                          or `expiresIn`.
+	 * @return {Observable}     DynamoDB update observable, or update builder.
 	 */
-	const update = (attrs, hash, range) => {
+	const update = (attrs, hash, range, options) => {
+		if (hash === undefined) return _updateBuilder(_buildItemKey(attrs))
+		options || (options = {})
 		debug('= Model.update', hash, range, JSON.stringify(attrs))
-		const params = {
-			TableName,
-			Key: _buildKey(hash, range),
-			AttributeUpdates: _buildAttributesUpdates(attrs),
-			ReturnValues: 'ALL_NEW',
-		}
-		return db.update(params)
-			.map(result => result.Attributes)
+		return _attributesUpdate(attrs, hash, range, options)
+			.exec()
 	}
 	/**
-	 * Deletes an item from the table
-	 * @param  {String} hash  Hash key.
-	 * @param  {String} range Range key.
-	 * @return {Observable}   DynamoDB delete observable.
+	 * Deletes an item from the table. With soft deletes, the item is
+	 * only marked as deleted. Like a delete, it does nothing if the item
+	 * does not exist, or is already deleted, unless a `condition` or a
+	 * `version` is given: then it emits a ConditionalCheckFailedError.
+	 * @param  {String} hash    Hash key.
+	 * @param  {String} range   Range key.
+	 * @param  {Object} options Options object, with a `condition` and the
+	 *                          expected `version` of a versioned item.
+	 * @return {Observable}     DynamoDB delete observable.
 	 */
-	const destroy = (hash, range) => {
+	const destroy = (hash, range, options) => {
+		options || (options = {})
 		debug('= Model.destroy', hash)
-		const params = {
-			TableName,
-			Key: _buildKey(hash, range)
-		}
-		return db.delete(params)
-			.map(() => true)
+		const request = _destroyRequest(hash, range, options)
+		const method = request.type === 'Delete' ? 'delete' : 'update'
+		const guarded = !!options.condition || (!!VersionAttribute && options.version !== undefined)
+		return _withHooks('destroy', request.params, params =>
+			db[method](params)
+				.catch(_catchErrors(method, params))
+				.catch(err => request.type === 'Update' && !guarded &&
+					err instanceof errors.ConditionalCheckFailedError ?
+					Rx.Observable.just({}) :
+					Rx.Observable.throw(err))
+				.map(() => true))
+	}
+	/**
+	 * Restores a soft deleted item, with the TTL it had before. Emits a
+	 * ConditionalCheckFailedError if the item is not deleted.
+	 * @param  {String} hash    Hash key.
+	 * @param  {String} range   Range key.
+	 * @param  {Object} options Options object, with a `condition`.
+	 * @return {Observable}     Restored attributes observable.
+	 */
+	const restore = (hash, range, options) => {
+		options || (options = {})
+		debug('= Model.restore', hash)
+		return Rx.Observable.defer(() => {
+			if (!SoftDelete) throw objectError('SoftDelete')
+			const key = _buildKey(hash, range)
+			const params = {
+				TableName,
+				Key: key,
+				ProjectionExpression: '#SavedTTL',
+				ExpressionAttributeNames: {'#SavedTTL': SoftDelete.SavedTTL},
+			}
+			const savedTTL = SoftDelete.ExpiresIn === undefined ?
+				Rx.Observable.just(undefined) :
+				db.get(params)
+					.catch(_catchErrors('get', params))
+					.map(result => (result.Item || {})[SoftDelete.SavedTTL])
+			return savedTTL.flatMap(saved => {
+				const builder = _updateBuilder(key, options)
+					.restore(saved)
+					.condition({[SoftDelete.Attribute]: {exists: true}})
+				if (!!options.condition) builder.condition(options.condition)
+				return builder.exec()
+			})
+		})
+	}
+	/**
+	 * Deletes an item from the table for good, even with soft deletes.
+	 * @param  {String} hash    Hash key.
+	 * @param  {String} range   Range key.
+	 * @param  {Object} options Options object, with a `condition` and the
+	 *                          expected `version` of a versioned item.
+	 * @return {Observable}     DynamoDB delete observable.
+	 */
+	const purge = (hash, range, options) => {
+		options || (options = {})
+		debug('= Model.purge', hash)
+		const params = _destroyParams(hash, range, options)
+		return _withHooks('purge', params, params =>
+			db.delete(params)
+				.catch(_catchErrors('delete', params))
+				.map(() => true))
 	}
 	/**
-	 * Return all items from a given key
+	 * Return all items from a given key. The pages the filters, or the
+	 * soft deletes, leave short are filled up to the `limit`.
 	 * @param  {String} key     Key name.
 	 * @param  {String} value   Key value.
-	 * @param  {Object} options Options object.
-	 * @return {Observable}     DynamoDB query observable.
+	 * @param  {Object} options Options object. `index` queries a secondary
+	 *                          index, `range` narrows by range key,
+	 *                          `order` sorts by range key, `asc` or `desc`,
+	 *                          `excludeExpired` hides items past their TTL,
+	 *                          `include` lists the relations to load,
+	 *                          `projection` the attributes to read,
+	 *                          `total` adds the count of matching items and
+	 *                          `withDeleted` or `onlyDeleted` show the soft
+	 *                          deleted items.
+	 * @return {Observable}     Page with items, nextPage, prevPage, hasNext
+	 *                          and hasPrev.
 	 */
 	const allBy = (key, value, options) => {
 		options || (options = {})
 		debug('= Model.allBy', key, value)
-		const defaultParams = {
-			TableName,
-			KeyConditionExpression: '#hkey = :hvalue',
-			ExpressionAttributeNames: {'#hkey': key},
-			ExpressionAttributeValues: {':hvalue': value},
-			ScanIndexForward: false,
+		const page = Rx.Observable.defer(() => {
+			const defaultParams = deepAssign({
+				TableName,
+				ScanIndexForward: _isAscending(options),
+			}, _keyConditionOptions(key, value, options))
+			const optionalParams = _buildOptions(options, defaultParams)
+			const params = _lookahead(deepAssign(defaultParams, optionalParams))
+			return _withHooks('allBy', params, params =>
+				_queryPage(params)
+					.map(result => _buildResponse(result, params, options)))
+		})
+			.flatMap(response => _include(response.items, options)
+				.map(items => Object.assign(response, {items})))
+		if (!options.total) return page
+		return page.flatMap(response => countBy(key, value, options)
+			.map(total => Object.assign(response, {total})))
+	}
+	/**
+	 * Scans a page of the table.
+	 * @param  {Object} options Options object. Accepts the same limit, page,
+	 *                          filters, projection and soft delete options as
+	 *                          allBy(), plus `segment` and `totalSegments` to
+	 *                          scan a single segment of a parallel scan.
+	 * @return {Observable}     DynamoDB scan observable.
+	 */
+	const scan = (options) => {
+		options || (options = {})
+		debug('= Model.scan', JSON.stringify(options))
+		return Rx.Observable.defer(() => db.scan(_scanOptions(options)))
+			.map(result => {
+				const response = {items: _refineItems(result.Items || [], options)}
+				if (!!result.LastEvaluatedKey) {
+					response.nextPage = nextPage(result.LastEvaluatedKey, _cursorBinding({}, options))
+				}
+				return response
+			})
+	}
+	/**
+	 * Scans the whole table and emits every item. If `totalSegments` is
+	 * set, the segments are scanned in parallel and merged into one stream.
+	 * A page cursor belongs to a single segment, so it can only resume the
+	 * scan of one `segment`.
+	 * @param  {Object} options Options object. Accepts the same options as
+	 *                          scan(), plus `concurrency` to limit how many
+	 *                          segments are scanned at the same time.
+	 * @return {Observable}     Items observable.
+	 */
+	const scanAll = (options) => {
+		options || (options = {})
+		debug('= Model.scanAll', JSON.stringify(options))
+		if (!options.totalSegments || options.segment !== undefined) {
+			return Rx.Observable.defer(() => _streamPages('scan', _scanOptions(options), options))
 		}
-		const optionalParams = _buildOptions(options, params)
-		const params = deepAssign(defaultParams, optionalParams)
-		return db.query(params)
-			.map(result => _buildResponse(result, defaultParams, options))
+		if (!!options.page) {
+			return Rx.Observable.throw(new Error('"page" can only resume the scan of a single segment'))
+		}
+		const concurrency = options.concurrency || options.totalSegments
+		return Rx.Observable.range(0, options.totalSegments)
+			.map(segment => Rx.Observable.defer(() => _streamPages(
+				'scan',
+				_scanOptions(Object.assign({}, options, {segment})),
+				options
+			)))
+			.merge(concurrency)
 	}
 	/**
-	 * Counts the ammount of items by key.
-	 * @param  {String} key   Key name.
-	 * @param  {String} value Key value.
-	 * @return {Observable}   DynamoDB query observable.
+	 * Streams all items from a given key, one by one, following the
+	 * LastEvaluatedKey lazily.
+	 * @param  {String} key     Key name.
+	 * @param  {String} value   Key value.
+	 * @param  {Object} options Same options as allBy(), plus `maxItems` and
+	 *                          `maxPages` to cap how much is read.
+	 * @return {Observable}     Items observable.
 	 */
-	const countBy = (key, value) => {
+	const streamBy = (key, value, options) => {
+		options || (options = {})
+		debug('= Model.streamBy', key, value)
+		const items = Rx.Observable.defer(() => {
+			const defaultParams = deepAssign({
+				TableName,
+				ScanIndexForward: _isAscending(options),
+			}, _keyConditionOptions(key, value, options))
+			const params = deepAssign(defaultParams, _buildOptions(options, defaultParams))
+			return _streamPages('query', params, options)
+		})
+		return !!options.maxItems ? items.take(options.maxItems) : items
+	}
+	/**
+	 * Counts the ammount of items by key. Every page of the query is
+	 * read, so the count is not capped by the 1MB a query evaluates.
+	 * @param  {String} key     Key name.
+	 * @param  {String} value   Key value.
+	 * @param  {Object} options Options object, with `index`, `range`,
+	 *                          `filters`, `excludeExpired`, `withDeleted`
+	 *                          and `onlyDeleted`.
+	 * @return {Observable}     DynamoDB query observable.
+	 */
+	const countBy = (key, value, options) => {
+		options || (options = {})
 		debug('= Model.countBy', key, value)
-		const params = {
+		const keyCondition = _keyConditionOptions(key, value, options)
+		const params = deepAssign({
 			TableName,
-			KeyConditionExpression: '#hkey = :hvalue',
-			ExpressionAttributeNames: {'#hkey': key},
-			ExpressionAttributeValues: {':hvalue': value},
 			Select: 'COUNT',
-		}
-		return db.query(params)
-			.map(result => result.Count)
+		}, keyCondition, _filterOptions(options, _expressionContext(keyCondition)))
+		const count = (startKey) =>
+			db.query(Object.assign({}, params, !!startKey ? {ExclusiveStartKey: startKey} : {}))
+				.flatMap(result => !!result.LastEvaluatedKey ?
+					count(result.LastEvaluatedKey).map(total => total + result.Count) :
+					Rx.Observable.just(result.Count))
+		return count()
 	}
 	/**
 	 * Increments an attribute from an item.
@@ -478,16 +2110,10 @@ function ModelConstructor (config) {
 	 */
 	const increment = (attribute, count, hash, range) => {
 		debug('= Model.increment', hash, range, attribute, count)
-		const params = {
-			TableName,
-			Key: _buildKey(hash, range),
-			AttributeUpdates: {}
-		}
-		params.AttributeUpdates[attribute] = {
-			Action: 'ADD',
-			Value: count,
-		}
-		return db.update(params)
+		return Rx.Observable.defer(() => _sendUpdate(_updateBuilder(_buildKey(hash, range))
+			.add(attribute, count)
+			.returnValues('NONE')
+			.params()))
 	}
 	/**
 	 * Increment multiple attributes.
@@ -498,44 +2124,139 @@ function ModelConstructor (config) {
 	 */
 	const incrementAll = (hash, range, attrValuesObj) => {
 		debug('= Model.incrementAttrs', hash, range, attrValuesObj)
-		const params = {
-			TableName,
-			Key: _buildKey(hash, range),
-			AttributeUpdates: {},
-		}
-		for (let key in attrValuesObj) {
-			if ({}.hasOwnProperty.call(attrValuesObj, key)) {
-				params.AttributeUpdates[key] = {
-					Action: 'ADD',
-					Value: attrValuesObj[key],
-				}
-    	}
-		}
-		return db.update(params)
+		return Rx.Observable.defer(() => _sendUpdate(_updateBuilder(_buildKey(hash, range))
+			.add(attrValuesObj)
+			.returnValues('NONE')
+			.params()))
 	}
 	/**
 	 * Previous page constructor.
-	 * @param  {Object} key Item key.
-	 * @return {String}     Base64 encoded previous key.
+	 * @param  {Object} key     Item key.
+	 * @param  {Object} binding Query the cursor belongs to.
+	 * @return {String}         Cursor of the previous page.
 	 */
-	const prevPage = (key) => {
+	const prevPage = (key, binding) => {
 		debug('= Model.prevPage', key)
-		return `-${new Buffer(JSON.stringify(key)).toString('base64')}`
+		return `-${cursor.encode(key, binding)}`
 	}
 	/**
 	 * Next page constructor.
-	 * @param  {Object} key Item key.
-	 * @return {String}     Base64 encoded previous key.
+	 * @param  {Object} key     Item key.
+	 * @param  {Object} binding Query the cursor belongs to.
+	 * @return {String}         Cursor of the next page.
 	 */
-	const nextPage = (key) =>
-		base64url.encode(JSON.stringify(key))
+	const nextPage = (key, binding) =>
+		cursor.encode(key, binding)
 	/**
 	 * Last evaluated key decoder
-	 * @param  {String} key Base64 encoded next key.
-	 * @return {Object}          Last evaluated key.
+	 * @param  {String} key     Cursor of a page.
+	 * @param  {Object} binding Query the cursor must belong to.
+	 * @return {Object}         Last evaluated key.
+	 */
+	const lastEvaluatedKey = (key, binding) =>
+		cursor.decode(key, binding)
+
+	/**
+	 * Creates the model table from its config, waits until it exists
+	 * and enables the TTL when the model has one.
+	 * @param  {Object} options Options object. Accepts the `billingMode`,
+	 *                          `readCapacity` and `writeCapacity` options
+	 *                          of the table, and `wait` set to false to
+	 *                          not wait for the table.
+	 * @return {Observable}     Table description observable.
+	 */
+	const createTable = (options) => {
+		options || (options = {})
+		debug('= Model.createTable', TableName)
+		return Rx.Observable.defer(() => {
+			const params = _createTableParams(options)
+			const created = db.createTable(params)
+				.map(result => result.TableDescription)
+			if (options.wait === false) return created
+			return created
+				.flatMap(() => db.waitFor('tableExists', {TableName}))
+				.flatMap(result => !TTL.Attribute ?
+					Rx.Observable.just(result) :
+					db.updateTimeToLive({
+						TableName,
+						TimeToLiveSpecification: {AttributeName: TTL.Attribute, Enabled: true},
+					}).map(() => result))
+				.map(result => result.Table)
+		})
+	}
+	/**
+	 * Creates the model table, unless it already exists.
+	 * @param  {Object} options Same options as createTable().
+	 * @return {Observable}     Table description observable.
+	 */
+	const ensureTable = (options) => {
+		debug('= Model.ensureTable', TableName)
+		return db.describeTable({TableName})
+			.map(result => result.Table)
+			.catch(err => err instanceof errors.ResourceNotFoundError ?
+				createTable(options) :
+				Rx.Observable.throw(err))
+	}
+	/**
+	 * Declares that the items of another model point to the items of
+	 * this one, like hasMany(Comments, 'PostID'). The children are
+	 * loaded with `include` under the `as` name.
+	 * @param  {Object} model      Child model.
+	 * @param  {String} foreignKey Child attribute holding this model key.
+	 *                             The child model must be able to query
+	 *                             it, as its hash key or an index one.
+	 * @param  {Object} options    Relation options. `as` names the relation,
+	 *                             defaulting to the child table name, `index`
+	 *                             is the child index of the foreign key,
+	 *                             `localKey` defaults to the HashKey, and
+	 *                             `concurrency` limits the parallel queries.
+	 *                             `strategy` is required, as DynamoDB can not
+	 *                             batch queries: query sends one query per
+	 *                             distinct parent of the page, so an include
+	 *                             costs as many requests as the page size,
+	 *                             and scan sends one filtered scan of the
+	 *                             whole child table per 100 parents.
+	 */
+	const hasMany = (model, foreignKey, options) => {
+		options || (options = {})
+		if (HasManyStrategies.indexOf(options.strategy) === -1) {
+			throw new Error(`hasMany needs a "strategy", one of ${HasManyStrategies.join(', ')}`)
+		}
+		const as = options.as || model._name
+		relations[as] = {type: 'hasMany', model, foreignKey, as, options}
+	}
+	/**
+	 * Declares that the items of this model point to the items of
+	 * another one, like belongsTo(Users, 'UserID'). The parents are
+	 * loaded with `include` under the `as` name, with a batch get.
+	 * @param  {Object} model      Parent model.
+	 * @param  {String} foreignKey Attribute holding the parent hash key, or
+	 *                             list of the attributes holding the parent
+	 *                             hash and range keys.
+	 * @param  {Object} options    Relation options. `as` names the relation,
+	 *                             defaulting to the parent table name.
+	 */
+	const belongsTo = (model, foreignKey, options) => {
+		options || (options = {})
+		const as = options.as || model._name
+		relations[as] = {type: 'belongsTo', model, foreignKey, as, options}
+	}
+	/**
+	 * Registers a hook that runs before an operation. It gets the
+	 * DynamoDB params and a context, and can return new params, a
+	 * context.resolve(result) value to skip DynamoDB, or throw to fail.
+	 * It can also return a promise or an observable of those.
+	 * @param  {String}   operation save, saveAll, update, destroy, get or allBy.
+	 * @param  {Function} hook      Hook function.
+	 */
+	const before = (operation, hook) => hooks.before(operation, hook)
+	/**
+	 * Registers a hook that runs after an operation. It gets the result
+	 * and a context with the params sent, and can return a new result.
+	 * @param  {String}   operation save, saveAll, update, destroy, get or allBy.
+	 * @param  {Function} hook      Hook function.
 	 */
-	const lastEvaluatedKey = (key) =>
-		JSON.parse(base64url.decode(key))
+	const after = (operation, hook) => hooks.after(operation, hook)
 
 	const isValid = (object) => {
 		debug('= Model.isValid', JSON.stringify(object))
@@ -550,23 +2271,47 @@ function ModelConstructor (config) {
 		saveAll,
 		destroyAll,
 		get: get,
+		getAll,
 		update,
 		destroy,
+		restore,
+		purge,
 		allBy,
+		streamBy,
 		countBy,
+		scan,
+		scanAll,
 		increment,
 		incrementAll,
 		prevPage,
 		nextPage,
 		lastEvaluatedKey,
 		isValid,
+		createTable,
+		ensureTable,
+		hasMany,
+		belongsTo,
+		before,
+		after,
 		// PRIVATE
+		_name: Entity || TableName,
 		_buildOptions,
 		_limitOptions,
 		_pageOptions,
+		_cursorBinding,
 		_fieldsOptions,
+		_projection,
+		_removePaths,
+		_isHidden,
+		_destroyRequest,
 		_filterOptions,
-		_buildFilter,
+		_expressionContext,
+		_expressionScope,
+		_buildConditions,
+		_readFilters,
+		_conditionOptions,
+		_versionCondition,
+		_catchErrors,
 		_refineItem,
 		_refineItems,
 		_buildResponse,
@@ -575,11 +2320,58 @@ function ModelConstructor (config) {
 		_buildNextKey,
 		_buildPrevKey,
 		_isFirstPage,
+		_isAscending,
+		_lookahead,
 		_isPaginatingBackwards,
+		_now,
+		_timestamps,
+		_epoch,
+		_expiry,
+		_isExpired,
 		_validateSchema,
+		_validationMode,
+		_validateWrite,
+		_validateActions,
 		_buildKey,
 		_buildItemKey,
-		_buildAttributesUpdates,
+		_indexKeys,
+		_keyConditionOptions,
+		_chunk,
+		_writeRequestKey,
+		_retryUnprocessed,
+		_batchWriteChunk,
+		_batchWrite,
+		_softDestroyKey,
+		_batchGetChunk,
+		_keyId,
+		_scanOptions,
+		_streamPages,
+		_queryPage,
+		_buildUpdateExpression,
+		_updateBuilder,
+		_omitKeys,
+		_saveParams,
+		_saveRequest,
+		_getParams,
+		_attributesUpdate,
+		_destroyParams,
+		_withHooks,
+		_isAttributes,
+		_composeKey,
+		_composeKeys,
+		_parseKeys,
+		_withKeys,
+		_stripKeys,
+		_isEntity,
+		_keyValue,
+		_includeNames,
+		_includeBelongsTo,
+		_queryChildren,
+		_scanChildren,
+		_includeHasMany,
+		_include,
+		_attributeType,
+		_createTableParams,
 	}
 }
 
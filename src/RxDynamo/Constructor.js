@@ -3,15 +3,47 @@
 // Common dependencies
 const Rx = require('rx')
 const AWS = require('aws-sdk')
+const Hooks = require('../hooks.js')
+const errors = require('../errors.js')
+const backoff = require('../backoff.js')
+
+const DEFAULT_RETRY = {
+	maxAttempts: 1,
+	baseDelay: 50,
+	maxDelay: 5000,
+	jitter: true,
+	retryableCodes: [
+		'ProvisionedThroughputExceededException',
+		'ThrottlingException',
+		'RequestLimitExceeded',
+		'InternalServerError',
+		'ServiceUnavailable',
+	],
+}
 /**
  * Constructor that returns an object with function wrappers
  * for every method of the DynamoDB API.
+ * @param {Object} options        Constructor options.
+ * @param {Object} options.dynamo  DocumentClient to wrap.
+ * @param {Object} options.client  Low level DynamoDB client used by the
+ *                                 table management methods. Defaults to
+ *                                 `dynamo` when it can manage tables.
+ * @param {String} options.region  AWS region of the default clients.
+ * @param {Object} options.retry   Retry policy of every call: `maxAttempts`,
+ *                                 `baseDelay`, `maxDelay`, `jitter` and
+ *                                 `retryableCodes`. Calls are not retried
+ *                                 by default.
+ * @param {Number} options.timeout Default time limit of every call, in
+ *                                 milliseconds.
  */
 function RxDynamoObsConstructor (options) {
 	options || (options = {})
-	const db = options.dynamo || new AWS.DynamoDB.DocumentClient({
-		region: process.env.SERVERLESS_REGION || options.region || 'us-east-1'
-	})
+	const retry = _retryPolicy(DEFAULT_RETRY, options.retry)
+	const region = process.env.SERVERLESS_REGION || options.region || 'us-east-1'
+	const db = options.dynamo || new AWS.DynamoDB.DocumentClient({region})
+	const client = options.client ||
+		(!!options.dynamo && typeof options.dynamo.createTable === 'function' ? options.dynamo : null) ||
+		new AWS.DynamoDB({region})
 	const dynamoMethods = [
 		'batchGet',
 		'batchWrite',
@@ -21,26 +53,88 @@ function RxDynamoObsConstructor (options) {
 		'put',
 		'query',
 		'scan',
+		'transactGet',
+		'transactWrite',
 		'update',
 	]
+	const tableMethods = [
+		'createTable',
+		'deleteTable',
+		'describeTable',
+		'updateTable',
+		'updateTimeToLive',
+	]
 	/**
-	 * Takes in a method string name and return a function
-	 * wrapper around the corresponding DynamoDB API method.
-	 * The returning function just returns an observable with
-	 * the result of the method call or an error.
-	 * @param  {String} method  DynamoDB API method name
-	 * @return {Function}       Rx observable function wrapper
+	 * Turns an aws-sdk call into a cold observable. The aws-sdk errors
+	 * are mapped to the library errors, and the retryable ones are
+	 * retried following the retry policy. Disposing the subscription
+	 * aborts the request in flight.
+	 * @param  {String}    method      DynamoDB API method name.
+	 * @param  {Object}    params      Request params.
+	 * @param  {Function}  invoke      Calls the aws-sdk with a callback,
+	 *                                 and returns the AWS.Request.
+	 * @param  {Scheduler} scheduler   Scheduler of the retry and timeout timers.
+	 * @param  {Object}    callOptions Call options, `retry` and `timeout`.
+	 * @return {Observable}            Request observable.
 	 */
-	const dynamoMethodToObservable = (method) => (params, scheduler) => {
-		return Rx.Observable.create(observer => {
-			db[method](params, (err, data) => {
+	const _toObservable = (method, params, invoke, scheduler, callOptions) => {
+		callOptions || (callOptions = {})
+		const request = Rx.Observable.create(observer => {
+			let done = false
+			const awsRequest = invoke((err, data) => {
+				if (done) return
+				done = true
 				if (err)
-					observer.onError(err)
+					return observer.onError(errors.fromAwsError(err, method, params))
 				observer.onNext(data)
 				observer.onCompleted()
 			})
+			return () => {
+				if (done) return
+				done = true
+				!!awsRequest && typeof awsRequest.abort === 'function' && awsRequest.abort()
+			}
 		})
+		const timeout = callOptions.timeout !== undefined ? callOptions.timeout : options.timeout
+		return _timeout(
+			_retry(request, _retryPolicy(retry, callOptions.retry), scheduler),
+			timeout, method, params, scheduler
+		)
 	}
+	/**
+	 * Takes in a method string name and return a function
+	 * wrapper around the corresponding DynamoDB API method.
+	 * The returning function just returns a cold observable with
+	 * the result of the method call or an error.
+	 * @param  {String} method  DynamoDB API method name
+	 * @return {Function}       Rx observable function wrapper
+	 */
+	const dynamoMethodToObservable = (method) => (params, scheduler, callOptions) =>
+		_toObservable(method, params, cb => db[method](params, cb), scheduler, callOptions)
+	/**
+	 * Same as dynamoMethodToObservable, for the table management
+	 * methods of the low level client.
+	 * @param  {String} method  DynamoDB API method name
+	 * @return {Function}       Rx observable function wrapper
+	 */
+	const tableMethodToObservable = (method) => (params, scheduler, callOptions) =>
+		_toObservable(method, params, cb => client[method](params, cb), scheduler, callOptions)
+	/**
+	 * Waits for a table to reach a state, like `tableExists` or
+	 * `tableNotExists`, polling describeTable.
+	 * @param  {String}    state       Waiter state name.
+	 * @param  {Object}    params      Waiter params, like {TableName}.
+	 * @param  {Scheduler} scheduler   Scheduler of the retry and timeout timers.
+	 * @param  {Object}    callOptions Call options, `retry` and `timeout`.
+	 * @return {Observable}            Waiter observable.
+	 */
+	const waitFor = (state, params, scheduler, callOptions) =>
+		_toObservable('waitFor', params, cb => client.waitFor(state, params, cb), scheduler, callOptions)
+	/**
+	 * Global hooks, that run around the hooks of every model using
+	 * this instance.
+	 */
+	const hooks = Hooks()
 	//////////////////
 	// Return value //
 	//////////////////
@@ -48,9 +142,79 @@ function RxDynamoObsConstructor (options) {
 		.map(method => ({
 			[`${method}`]: dynamoMethodToObservable(method)
 		}))
-		.reduce((acc, pair) => Object.assign({}, acc, pair), {})
+		.concat(tableMethods.map(method => ({
+			[`${method}`]: tableMethodToObservable(method)
+		})))
+		.reduce((acc, pair) => Object.assign({}, acc, pair), {
+			hooks,
+			before: hooks.before,
+			after: hooks.after,
+			waitFor,
+		})
+}
+/**
+ * Merges a retry policy with its overrides. `false` disables the
+ * retries, and a number sets the max number of attempts.
+ * @param  {Object}         policy    Base retry policy.
+ * @param  {Object|Boolean} overrides Retry policy overrides.
+ * @return {Object}                   Retry policy.
+ */
+function _retryPolicy (policy, overrides) {
+	if (overrides === false) return Object.assign({}, policy, {maxAttempts: 1})
+	if (typeof overrides === 'number') return Object.assign({}, policy, {maxAttempts: overrides})
+	return Object.assign({}, policy, overrides)
+}
+/**
+ * Checks if an error can be retried under a retry policy.
+ * @param  {Error}   err    Library error.
+ * @param  {Object}  policy Retry policy.
+ * @return {Boolean}        Retryable query result.
+ */
+function _isRetryable (err, policy) {
+	return !!err && policy.retryableCodes.indexOf(err.code) > -1
+}
+/**
+ * Resubscribes to a request when it fails with a retryable error,
+ * waiting an exponential backoff on the scheduler between attempts.
+ * The error of the last attempt is emitted with its `attempts` count.
+ * @param  {Observable} request   Request observable.
+ * @param  {Object}     policy    Retry policy.
+ * @param  {Scheduler}  scheduler Scheduler of the backoff timers.
+ * @param  {Number}     attempt   Current attempt number, starting at 0.
+ * @return {Observable}           Request observable with retries.
+ */
+function _retry (request, policy, scheduler, attempt) {
+	attempt || (attempt = 0)
+	return request.catch(err => {
+		if (attempt + 1 >= policy.maxAttempts || !_isRetryable(err, policy)) {
+			err.attempts = attempt + 1
+			return Rx.Observable.throw(err)
+		}
+		return Rx.Observable
+			.timer(backoff(attempt, policy), scheduler)
+			.flatMap(() => _retry(request, policy, scheduler, attempt + 1))
+	})
+}
+/**
+ * Emits a TimeoutError, and disposes the request, when it does not
+ * finish in time. The time limit covers all the retry attempts.
+ * @param  {Observable} request   Request observable.
+ * @param  {Number}     timeout   Time limit in milliseconds.
+ * @param  {String}     method    DynamoDB method name.
+ * @param  {Object}     params    Request params.
+ * @param  {Scheduler}  scheduler Scheduler of the timeout timer.
+ * @return {Observable}           Request observable with a time limit.
+ */
+function _timeout (request, timeout, method, params, scheduler) {
+	if (!timeout) return request
+	const error = Rx.Observable.defer(() => Rx.Observable.throw(new errors.TimeoutError(
+		`${method} did not finish in ${timeout}ms`,
+		{tableName: errors.tableNames(params), operation: method, params: errors.sanitizeParams(params)}
+	)))
+	return request.timeout(timeout, error, scheduler || Rx.Scheduler.default)
 }
 ///////////////////
 // Export Object //
 ///////////////////
-exports = module.exports = RxDynamoObsConstructor
\ No newline at end of file
+exports = module.exports = RxDynamoObsConstructor
+exports.DEFAULT_RETRY = DEFAULT_RETRY
\ No newline at end of file
@@ -0,0 +1,193 @@
+'use strict';
+
+const Rx = require('rx')
+const debug = require('./debug.js')
+const RxDynamo = require('./RxDynamo/')
+const errors = require('./errors.js')
+
+/**
+ * Transaction builder. Collects write operations, or get operations,
+ * from several models and commits them atomically.
+ *
+ *   Transaction()
+ *     .save(Users, user, {condition: {ID: {not_exists: true}}})
+ *     .update(Posts, {Title: 'x'}, postID)
+ *     .check(Users, ownerID, null, {Active: {eq: true}})
+ *     .commit()
+ *
+ * @param  {Object} options    Transaction options.
+ * @param  {Object} options.DB RxDynamo instance. Defaults to RxDynamo.
+ * @return {Object}            Transaction builder.
+ */
+function TransactionConstructor (options) {
+	options || (options = {})
+	///////////////
+	// CONSTANTS //
+	///////////////
+	const db = options.DB || RxDynamo
+	const writes = []
+	const reads = []
+	const builder = {}
+	/////////////
+	// PRIVATE //
+	/////////////
+	/**
+	 * Removes the params that DynamoDB does not accept inside a
+	 * transaction item.
+	 * @param  {Object} params DynamoDB params.
+	 * @return {Object}        Transaction item params.
+	 */
+	const _transactParams = (params) => {
+		const result = Object.assign({}, params)
+		delete result.ReturnValues
+		return result
+	}
+	/**
+	 * Adds a write operation to the transaction.
+	 * @param  {String} type   Operation type: Put, Update, Delete or ConditionCheck.
+	 * @param  {Object} model  Model the operation belongs to.
+	 * @param  {Object} params DynamoDB params of the operation.
+	 * @return {Object}        Transaction builder.
+	 */
+	const _addWrite = (type, model, params) => {
+		writes.push({
+			type,
+			model,
+			params: _transactParams(params),
+			key: params.Key || model._buildItemKey(params.Item),
+		})
+		return builder
+	}
+	/**
+	 * Maps the errors of a transaction to the library errors, and
+	 * points the cancellation reasons of a TransactionCanceledError
+	 * back to the operations that failed. The keys of the operations
+	 * are sanitized like the request params.
+	 * @param  {String} operation DynamoDB method name.
+	 * @param  {Array}  list      Operations sent in the transaction.
+	 * @param  {Object} params    Request params.
+	 * @return {Function}         Rx catch handler.
+	 */
+	const _catchCanceled = (operation, list, params) => (err) => {
+		const error = errors.fromAwsError(err, operation, params)
+		if (error instanceof errors.TransactionCanceledError) {
+			error.reasons = error.reasons.map(reason => Object.assign({}, reason, {
+				type: list[reason.index] && list[reason.index].type,
+				tableName: list[reason.index] && list[reason.index].params.TableName,
+				key: list[reason.index] && errors.sanitizeParams({Key: list[reason.index].key}).Key,
+			}))
+		}
+		return Rx.Observable.throw(error)
+	}
+	////////////
+	// PUBLIC //
+	////////////
+	/**
+	 * Adds the put, or update, operation of Model.save().
+	 * @param  {Object} model   Model.
+	 * @param  {Object} item    Item to be saved.
+	 * @param  {Object} options Save options, like `condition`.
+	 * @return {Object}         Transaction builder.
+	 */
+	builder.save = (model, item, options) => {
+		const request = model._saveRequest(item, options || {})
+		return _addWrite(request.type, model, request.params)
+	}
+	/**
+	 * Adds an update operation. Takes an update builder, or the same
+	 * arguments as Model.update(attrs, hash, range, options).
+	 * @param  {Object} model   Model, or update builder.
+	 * @param  {Object} attrs   Fields to edit.
+	 * @param  {String} hash    Hash key.
+	 * @param  {String} range   Range key.
+	 * @param  {Object} options Update options, like `condition`.
+	 * @return {Object}         Transaction builder.
+	 */
+	builder.update = (model, attrs, hash, range, options) => {
+		if (typeof model.params === 'function') {
+			return _addWrite('Update', model, model.params())
+		}
+		const update = model._attributesUpdate(attrs, hash, range, options || {})
+		return _addWrite('Update', model, update.params())
+	}
+	/**
+	 * Adds a delete operation, built like Model.destroy(). With soft
+	 * deletes it is an update that marks the item as deleted.
+	 * @param  {Object} model   Model.
+	 * @param  {String} hash    Hash key.
+	 * @param  {String} range   Range key.
+	 * @param  {Object} options Destroy options, like `condition` or `version`.
+	 * @return {Object}         Transaction builder.
+	 */
+	builder.destroy = (model, hash, range, options) => {
+		const request = model._destroyRequest(hash, range, options || {})
+		return _addWrite(request.type, model, request.params)
+	}
+	/**
+	 * Adds a condition check on an item that is not written.
+	 * @param  {Object} model     Model.
+	 * @param  {String} hash      Hash key.
+	 * @param  {String} range     Range key.
+	 * @param  {Object} condition Condition, written as a filter.
+	 * @return {Object}           Transaction builder.
+	 */
+	builder.check = (model, hash, range, condition) =>
+		_addWrite('ConditionCheck', model, model._destroyParams(hash, range, {condition}))
+	/**
+	 * Adds a get operation. Reads can not be mixed with writes.
+	 * @param  {Object} model   Model.
+	 * @param  {String} hash    Hash key.
+	 * @param  {String} range   Range key.
+	 * @param  {Object} options Get options, like `projection`.
+	 * @return {Object}         Transaction builder.
+	 */
+	builder.get = (model, hash, range, options) => {
+		options || (options = {})
+		const params = model._getParams(hash, range, options)
+		const get = {TableName: params.TableName, Key: params.Key}
+		if (!!params.ProjectionExpression) {
+			get.ProjectionExpression = params.ProjectionExpression
+			get.ExpressionAttributeNames = params.ExpressionAttributeNames
+		}
+		reads.push({type: 'Get', model, options, params: get, key: get.Key})
+		return builder
+	}
+	/**
+	 * Commits the transaction. A write transaction emits true, and a
+	 * get transaction emits the list of items, with null for the items
+	 * that were not found.
+	 * @return {Observable} DynamoDB transactWrite or transactGet observable.
+	 */
+	builder.commit = () => {
+		if (writes.length > 0 && reads.length > 0) {
+			return Rx.Observable.throw(new Error('Transactions can not mix reads and writes'))
+		}
+		if (reads.length > 0) {
+			const params = {
+				TransactItems: reads.map(read => ({Get: read.params})),
+			}
+			debug('= Transaction.commit', JSON.stringify(params))
+			return db.transactGet(params)
+				.catch(_catchCanceled('transactGet', reads, params))
+				.map(result => (result.Responses || []).map((response, index) =>
+					!!response && !!response.Item &&
+					!reads[index].model._isHidden(response.Item, reads[index].options) ?
+						reads[index].model._refineItem(response.Item, reads[index].options) :
+						null
+				))
+		}
+		const params = {
+			TransactItems: writes.map(write => ({[write.type]: write.params})),
+		}
+		debug('= Transaction.commit', JSON.stringify(params))
+		return db.transactWrite(params)
+			.catch(_catchCanceled('transactWrite', writes, params))
+			.map(() => true)
+	}
+	//////////////////
+	// RETURN VALUE //
+	//////////////////
+	return builder
+}
+
+exports = module.exports = TransactionConstructor
@@ -0,0 +1,25 @@
+'use strict'
+
+const DEFAULT_BASE_DELAY = 50
+const DEFAULT_MAX_DELAY = 5000
+/**
+ * Computes how long to wait before a retry attempt using
+ * exponential backoff with full jitter.
+ * @param  {Number}  attempt           Retry attempt number, starting at 0.
+ * @param  {Object}  options           Backoff options.
+ * @param  {Number}  options.baseDelay Base delay in milliseconds.
+ * @param  {Number}  options.maxDelay  Upper bound for the delay.
+ * @param  {Boolean} options.jitter    Randomize the delay. Defaults to true.
+ * @return {Number}                    Delay in milliseconds.
+ */
+function backoff (attempt, options) {
+	options || (options = {})
+	const baseDelay = options.baseDelay !== undefined ?
+		options.baseDelay : DEFAULT_BASE_DELAY
+	const maxDelay = options.maxDelay !== undefined ?
+		options.maxDelay : DEFAULT_MAX_DELAY
+	const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt))
+	return options.jitter === false ? delay : Math.floor(Math.random() * delay)
+}
+
+exports = module.exports = backoff
@@ -0,0 +1,173 @@
+'use strict'
+
+const crypto = require('crypto')
+const base64url = require('base64-url')
+const errors = require('./errors.js')
+
+/**
+ * Encodes a buffer as url safe base64.
+ * @param  {Buffer} buffer Buffer.
+ * @return {String}        Url safe base64 string.
+ */
+const toBase64url = (buffer) => base64url.escape(buffer.toString('base64'))
+/**
+ * Decodes a url safe base64 string.
+ * @param  {String} value Url safe base64 string.
+ * @return {Buffer}       Buffer.
+ */
+const fromBase64url = (value) => Buffer.from(base64url.unescape(value), 'base64')
+/**
+ * Builds an InvalidCursorError.
+ * @param  {String} reason Why the cursor is invalid.
+ * @return {InvalidCursorError} Cursor error.
+ */
+const invalid = (reason) => new errors.InvalidCursorError(`Invalid cursor: ${reason}`)
+/**
+ * Pagination cursor codec. Without a secret, cursors are the url safe
+ * base64 JSON of the key. With a `Secret` they are signed with an HMAC,
+ * or encrypted when `Encrypt` is set, and carry the query they belong
+ * to and their expiry, so they can not be read, forged or reused on
+ * another query.
+ * @param  {Object}  config         Cursor configuration.
+ * @param  {String}  config.Secret  Secret used to sign or encrypt cursors.
+ * @param  {Boolean} config.Encrypt Encrypt the cursors instead of only signing them.
+ * @param  {Number}  config.TTL     Lifetime of the cursors in seconds.
+ * @return {Object}                 Cursor codec.
+ */
+function CursorConstructor (config) {
+	config || (config = {})
+	///////////////
+	// CONSTANTS //
+	///////////////
+	const Secret = config.Secret || null
+	const Encrypt = !!config.Encrypt
+	const TTL = config.TTL || null
+	const Version = 1
+	const encryptionKey = !!Secret ?
+		crypto.createHash('sha256').update(`encrypt:${Secret}`).digest() :
+		null
+	/////////////
+	// PRIVATE //
+	/////////////
+	/**
+	 * Hashes the description of the query a cursor belongs to.
+	 * @param  {Object} binding Query description.
+	 * @return {String}         Binding hash.
+	 */
+	const _bindingHash = (binding) => crypto.createHash('sha256')
+		.update(JSON.stringify(binding === undefined ? null : binding))
+		.digest('hex')
+		.substring(0, 16)
+	/**
+	 * Signs a payload.
+	 * @param  {String} payload Encoded payload.
+	 * @return {String}         Encoded signature.
+	 */
+	const _sign = (payload) =>
+		toBase64url(crypto.createHmac('sha256', Secret).update(payload).digest())
+	/**
+	 * Encrypts and authenticates a payload with AES-256-GCM. The leading
+	 * version byte keeps the random iv from starting the cursor with the
+	 * `-` that marks previous pages.
+	 * @param  {String} payload JSON payload.
+	 * @return {String}         Encoded version, iv, tag and cipher text.
+	 */
+	const _encrypt = (payload) => {
+		const iv = crypto.randomBytes(12)
+		const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv)
+		const text = Buffer.concat([cipher.update(payload, 'utf8'), cipher.final()])
+		return toBase64url(Buffer.concat([Buffer.from([Version]), iv, cipher.getAuthTag(), text]))
+	}
+	/**
+	 * Decrypts a payload encrypted by _encrypt().
+	 * @param  {String} token Encoded version, iv, tag and cipher text.
+	 * @return {String}       JSON payload.
+	 */
+	const _decrypt = (token) => {
+		const buffer = fromBase64url(token)
+		if (buffer.length < 30 || buffer[0] !== Version) throw invalid('malformed')
+		const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, buffer.slice(1, 13))
+		decipher.setAuthTag(buffer.slice(13, 29))
+		try {
+			return Buffer.concat([decipher.update(buffer.slice(29)), decipher.final()]).toString('utf8')
+		} catch (err) {
+			throw invalid('tampered')
+		}
+	}
+	/**
+	 * Parses the JSON of a cursor, which must be an object.
+	 * @param  {String} json JSON string.
+	 * @return {Object}      Parsed object.
+	 */
+	const _parse = (json) => {
+		let value
+		try {
+			value = JSON.parse(json)
+		} catch (err) {
+			throw invalid('malformed')
+		}
+		if (!value || typeof value !== 'object' || Array.isArray(value)) throw invalid('malformed')
+		return value
+	}
+	////////////
+	// PUBLIC //
+	////////////
+	/**
+	 * Encodes a key as a cursor.
+	 * @param  {Object} key     DynamoDB key.
+	 * @param  {Object} binding Description of the query the key belongs to.
+	 * @return {String}         Cursor.
+	 */
+	const encode = (key, binding) => {
+		if (!Secret) return base64url.encode(JSON.stringify(key))
+		const payload = JSON.stringify(Object.assign(
+			{k: key, b: _bindingHash(binding)},
+			!!TTL ? {e: Math.floor(Date.now() / 1000) + TTL} : {}
+		))
+		if (Encrypt) return _encrypt(payload)
+		const encoded = toBase64url(Buffer.from(payload, 'utf8'))
+		return `${encoded}.${_sign(encoded)}`
+	}
+	/**
+	 * Decodes a cursor back into a key. Throws an InvalidCursorError if
+	 * the cursor is malformed, tampered, expired or belongs to another
+	 * query. The query is only checked when a binding is given.
+	 * @param  {String} cursor  Cursor.
+	 * @param  {Object} binding Description of the current query.
+	 * @return {Object}         DynamoDB key.
+	 */
+	const decode = (cursor, binding) => {
+		if (typeof cursor !== 'string' || cursor.length === 0) throw invalid('malformed')
+		if (!Secret) return _parse(base64url.decode(cursor))
+		let payload
+		if (Encrypt) {
+			payload = _parse(_decrypt(cursor))
+		} else {
+			const parts = cursor.split('.')
+			if (parts.length !== 2) throw invalid('malformed')
+			const expected = Buffer.from(_sign(parts[0]))
+			const actual = Buffer.from(parts[1])
+			if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+				throw invalid('tampered')
+			}
+			payload = _parse(fromBase64url(parts[0]).toString('utf8'))
+		}
+		if (!payload.k || typeof payload.k !== 'object') throw invalid('malformed')
+		if (payload.e !== undefined && payload.e <= Math.floor(Date.now() / 1000)) {
+			throw invalid('expired')
+		}
+		if (binding !== undefined && payload.b !== _bindingHash(binding)) {
+			throw invalid('it belongs to another query')
+		}
+		return payload.k
+	}
+	//////////////////
+	// RETURN VALUE //
+	//////////////////
+	return {
+		encode,
+		decode,
+	}
+}
+
+exports = module.exports = CursorConstructor
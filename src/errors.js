@@ -0,0 +1,183 @@
+'use strict'
+
+/**
+ * Base class of the errors emitted by the library. It carries the
+ * context of the failed request, so Rx `catch` handlers can branch
+ * on the error type and still know what failed.
+ * @param {String} message           Error message.
+ * @param {Object} details           Request details.
+ * @param {String} details.tableName Name of the table.
+ * @param {String} details.operation DynamoDB method name.
+ * @param {Object} details.params    Request params.
+ * @param {Error}  details.cause     Original aws-sdk error.
+ */
+class RxDynamoError extends Error {
+	constructor (message, details) {
+		super(message)
+		details || (details = {})
+		this.name = this.constructor.name
+		this.tableName = details.tableName
+		this.operation = details.operation
+		this.params = details.params
+		this.cause = details.cause
+		if (!!details.cause && !!details.cause.code) {
+			this.code = details.cause.code
+		}
+	}
+}
+/**
+ * The request was throttled because it exceeded the provisioned
+ * throughput or the account request limits.
+ */
+class ThrottlingError extends RxDynamoError {}
+/**
+ * The condition of a conditional write, or the version check of
+ * a versioned item, was not met.
+ */
+class ConditionalCheckFailedError extends RxDynamoError {}
+/**
+ * The table or index of the request does not exist.
+ */
+class ResourceNotFoundError extends RxDynamoError {}
+/**
+ * The item that was required by the request does not exist.
+ */
+class ItemNotFoundError extends RxDynamoError {}
+/**
+ * An item, or the attributes of an update, do not match the model
+ * schema. `details` holds the Joi error details.
+ */
+class ValidationError extends RxDynamoError {
+	constructor (message, details) {
+		super(message, details)
+		this.details = (details || {}).details || []
+	}
+}
+/**
+ * A transaction was canceled. `reasons` lists the operations that
+ * made it fail, with their index, cancellation code and message.
+ */
+class TransactionCanceledError extends RxDynamoError {
+	constructor (message, details) {
+		super(message, details)
+		this.reasons = (details || {}).reasons || []
+	}
+}
+/**
+ * The request did not finish before its `timeout`, and was aborted.
+ */
+class TimeoutError extends RxDynamoError {}
+/**
+ * A pagination cursor is malformed, was tampered with, expired, or
+ * belongs to another query.
+ */
+class InvalidCursorError extends RxDynamoError {}
+
+const ErrorsByCode = {
+	ProvisionedThroughputExceededException: ThrottlingError,
+	ThrottlingException: ThrottlingError,
+	RequestLimitExceeded: ThrottlingError,
+	ConditionalCheckFailedException: ConditionalCheckFailedError,
+	ValidationException: ValidationError,
+	ResourceNotFoundException: ResourceNotFoundError,
+	TransactionCanceledException: TransactionCanceledError,
+}
+const ValueKeys = [
+	'Item',
+	'Key',
+	'ExclusiveStartKey',
+	'ExpressionAttributeValues',
+]
+/**
+ * Replaces the attribute values of a request params object, so it can
+ * be attached to an error without leaking the item data.
+ * @param  {Any} params Request params.
+ * @return {Any}        Sanitized params.
+ */
+const sanitizeParams = (params) => {
+	if (Array.isArray(params)) return params.map(sanitizeParams)
+	if (!params || typeof params !== 'object') return params
+	return Object.keys(params).reduce((acc, key) => {
+		const value = params[key]
+		if (ValueKeys.indexOf(key) > -1 && !!value && typeof value === 'object') {
+			acc[key] = Object.keys(value).reduce((redacted, name) => {
+				redacted[name] = '[redacted]'
+				return redacted
+			}, {})
+		} else if (key === 'Keys' && Array.isArray(value)) {
+			acc[key] = value.map(item => sanitizeParams({Key: item}).Key)
+		} else {
+			acc[key] = sanitizeParams(value)
+		}
+		return acc
+	}, {})
+}
+/**
+ * Returns the names of the tables a request params object targets.
+ * @param  {Object} params Request params.
+ * @return {String|Array}  Table name, or list of names for multi-table requests.
+ */
+const tableNames = (params) => {
+	params || (params = {})
+	if (!!params.TableName) return params.TableName
+	const names = Object.keys(params.RequestItems || {})
+		.concat((params.TransactItems || []).map(item =>
+			item[Object.keys(item)[0]].TableName))
+		.filter((name, index, list) => list.indexOf(name) === index)
+	return names.length === 1 ? names[0] : names
+}
+/**
+ * Reads the cancellation reasons of a TransactionCanceledException.
+ * They come in `CancellationReasons` when available, or else in the
+ * error message. Only the failed operations are kept.
+ * @param  {Error} err aws-sdk error.
+ * @return {Array}     List of {index, code, message} reasons.
+ */
+const cancellationReasons = (err) => {
+	let reasons = err.CancellationReasons
+	if (!Array.isArray(reasons)) {
+		const match = /\[(.*)\]/.exec(err.message || '')
+		reasons = !match ? [] : match[1].split(',').map(code => ({Code: code.trim()}))
+	}
+	return reasons
+		.map((reason, index) => ({index, code: reason.Code, message: reason.Message}))
+		.filter(reason => !!reason.code && reason.code !== 'None')
+}
+/**
+ * Maps an aws-sdk error to the library error of its code. Errors that
+ * were already mapped, or that have no aws-sdk code, like the ones
+ * thrown by a hook, are returned as they are.
+ * @param  {Error}  err       aws-sdk error.
+ * @param  {String} operation DynamoDB method name.
+ * @param  {Object} params    Request params.
+ * @return {Error}            Library error, or the original one.
+ */
+const fromAwsError = (err, operation, params) => {
+	if (err instanceof RxDynamoError || !err || !err.code) return err
+	const ErrorClass = ErrorsByCode[err.code] || RxDynamoError
+	const details = {
+		tableName: tableNames(params),
+		operation,
+		params: sanitizeParams(params),
+		cause: err,
+	}
+	if (ErrorClass === TransactionCanceledError) {
+		details.reasons = cancellationReasons(err)
+	}
+	return new ErrorClass(err.message, details)
+}
+
+exports = module.exports = {
+	RxDynamoError,
+	ThrottlingError,
+	ConditionalCheckFailedError,
+	ValidationError,
+	ResourceNotFoundError,
+	ItemNotFoundError,
+	TransactionCanceledError,
+	TimeoutError,
+	InvalidCursorError,
+	fromAwsError,
+	sanitizeParams,
+	tableNames,
+}
@@ -0,0 +1,383 @@
+'use strict'
+
+const isPlainObject = require('lodash/isPlainObject')
+
+/**
+ * Comparison operators of the filters language.
+ * @type {Object}
+ */
+const OperandMapping = {
+	eq: '=',
+	ne: '<>',
+	le: '<=',
+	lt: '<',
+	ge: '>=',
+	gt: '>'
+}
+/**
+ * Operators allowed in a key condition.
+ * @type {Array}
+ */
+const KeyOperators = ['eq', 'le', 'lt', 'ge', 'gt', 'between', 'begins_with']
+/**
+ * Update action types, with the clause they are written in.
+ * @type {Object}
+ */
+const UpdateClauses = {
+	set: 'SET',
+	setIfNotExists: 'SET',
+	append: 'SET',
+	remove: 'REMOVE',
+	add: 'ADD',
+	delete: 'DELETE',
+}
+/**
+ * Creates the context that keeps track of the name and value
+ * placeholders used by a request, so the expressions built for
+ * it never reuse a placeholder for something else.
+ * @param  {Object} params Params whose placeholders are already taken.
+ * @return {Object}        Expression context.
+ */
+const context = (params) => ({
+	names: Object.assign({}, (params || {}).ExpressionAttributeNames),
+	values: Object.assign({}, (params || {}).ExpressionAttributeValues),
+})
+/**
+ * Returns the placeholder helpers of one expression. The names and
+ * values it uses are registered in the context and collected in
+ * the scope's own names and values mappings. Every attribute name is
+ * written as a placeholder, so reserved words are always escaped.
+ * @param  {Object} context Expression context.
+ * @return {Object}         Expression scope.
+ */
+const scope = (context) => {
+	const scope = {names: {}, values: {}}
+	const unique = (base, taken, accept) => {
+		let placeholder = base
+		for (let i = 1; taken[placeholder] !== undefined && !accept(placeholder); i++) {
+			placeholder = `${base}_${i}`
+		}
+		return placeholder
+	}
+	scope.name = (attrName) => {
+		const base = `#${attrName.replace(/[^A-Za-z0-9_]/g, '_')}`
+		const placeholder = unique(base, context.names,
+			candidate => context.names[candidate] === attrName)
+		context.names[placeholder] = attrName
+		scope.names[placeholder] = attrName
+		return placeholder
+	}
+	scope.value = (value, hint) => {
+		const base = `:${hint.replace(/[^A-Za-z0-9_]/g, '_')}`
+		const placeholder = unique(base, context.values, () => false)
+		context.values[placeholder] = value
+		scope.values[placeholder] = value
+		return placeholder
+	}
+	scope.path = (path) =>
+		path.split('.')
+			.map(segment => {
+				const match = segment.match(/^(.*?)((\[\d+\])*)$/)
+				return scope.name(match[1]) + match[2]
+			})
+			.join('.')
+	return scope
+}
+/**
+ * Builds the conditions of a single attribute.
+ * @param  {String} path       Attribute path, like `address.city` or `tags[0]`.
+ * @param  {Object} conditions Operands and values, like {gt: 1, lt: 9}.
+ * @param  {Object} scope      Expression scope.
+ * @param  {String} operand    Left operand, defaults to the attribute path.
+ * @return {Array}             List of conditions.
+ */
+const attributeConditions = (path, conditions, scope, operand) => {
+	const attrName = scope.path(path)
+	const left = operand || attrName
+	const value = (v) => scope.value(v, path)
+	return Object.keys(conditions).map(operator => {
+		const arg = conditions[operator]
+		if (!!OperandMapping[operator]) {
+			return [left, OperandMapping[operator], value(arg)].join(' ')
+		}
+		switch (operator) {
+		case 'between':
+			return `${left} BETWEEN ${value(arg[0])} AND ${value(arg[1])}`
+		case 'in':
+			return `${left} IN (${arg.map(value).join(', ')})`
+		}
+		if (!!operand) {
+			throw new Error(`"${operator}" is not a valid size operator`)
+		}
+		switch (operator) {
+		case 'begins_with':
+		case 'contains':
+		case 'attribute_type':
+			return `${operator}(${attrName}, ${value(arg)})`
+		case 'exists':
+		case 'attribute_exists':
+			return `${!!arg ? 'attribute_exists' : 'attribute_not_exists'}(${attrName})`
+		case 'not_exists':
+		case 'attribute_not_exists':
+			return `${!!arg ? 'attribute_not_exists' : 'attribute_exists'}(${attrName})`
+		case 'size':
+			return attributeConditions(path, arg, scope, `size(${attrName})`)
+				.join(' AND ')
+		default:
+			throw new Error(`"${operator}" is not a valid filter operator`)
+		}
+	})
+}
+/**
+ * Builds the list of conditions of a filters object. Each key is an
+ * attribute path with its conditions, or an `and`/`or` list of
+ * filters objects, or a `not` filters object.
+ * @param  {Object} filters Filters object.
+ * @param  {Object} scope   Expression scope.
+ * @return {Array}          List of conditions.
+ */
+const conditions = (filters, scope) =>
+	Object.keys(filters).reduce((acc, key) => {
+		const value = filters[key]
+		if (key === 'and' || key === 'or') {
+			const group = value
+				.map(member => conditions(member, scope))
+				.map(list => list.length > 1 ?
+					`(${list.join(' AND ')})` :
+					list[0])
+			return acc.concat(`(${group.join(` ${key.toUpperCase()} `)})`)
+		}
+		if (key === 'not') {
+			return acc.concat(`NOT (${conditions(value, scope).join(' AND ')})`)
+		}
+		return acc.concat(attributeConditions(key, value, scope))
+	}, [])
+/**
+ * Builds a KeyConditionExpression. Each key is a key attribute with
+ * its value, or with a single condition like {begins_with: 'a'}.
+ * @param  {Object} key   Key attributes and conditions.
+ * @param  {Object} scope Expression scope.
+ * @return {String}       Key condition expression.
+ */
+const keyCondition = (key, scope) =>
+	Object.keys(key)
+		.map(name => {
+			const condition = isPlainObject(key[name]) ? key[name] : {eq: key[name]}
+			const operators = Object.keys(condition)
+			if (operators.length !== 1 || KeyOperators.indexOf(operators[0]) === -1) {
+				throw new Error(`"${operators.join(', ')}" is not a valid key condition`)
+			}
+			return attributeConditions(name, condition, scope)[0]
+		})
+		.join(' AND ')
+/**
+ * Builds a ProjectionExpression. A path that is inside another one of
+ * the list is left out, since DynamoDB rejects overlapping paths.
+ * @param  {Array}  paths List of paths, or a comma separated string.
+ * @param  {Object} scope Expression scope.
+ * @return {String}       Projection expression.
+ */
+const projection = (paths, scope) => {
+	const list = (Array.isArray(paths) ? paths : String(paths).split(','))
+		.map(path => String(path).trim())
+		.filter((path, index, all) => path.length > 0 && all.indexOf(path) === index)
+	return list
+		.filter(path => !list.some(other =>
+			path.indexOf(`${other}.`) === 0 || path.indexOf(`${other}[`) === 0))
+		.map(scope.path)
+		.join(',')
+}
+/**
+ * Turns an updates object, like {set: {Name: 'x'}, remove: ['Tmp'],
+ * add: {Count: 1}}, into a list of update actions. A list of actions
+ * is returned as it is.
+ * @param  {Object} updates Updates object, or list of actions.
+ * @return {Array}          List of {type, path, value} actions.
+ */
+const updateActions = (updates) => {
+	if (Array.isArray(updates)) return updates
+	return Object.keys(updates).reduce((acc, type) => {
+		if (!UpdateClauses[type]) throw new Error(`"${type}" is not a valid update action`)
+		const value = updates[type]
+		if (type === 'remove') {
+			const paths = Array.isArray(value) ? value : String(value).split(',')
+			return acc.concat(paths.map(path => ({type, path: String(path).trim()})))
+		}
+		return acc.concat(Object.keys(value).map(path => ({type, path, value: value[path]})))
+	}, [])
+}
+/**
+ * Compiles a list of update actions into an UpdateExpression. A
+ * setIfNotExists action can copy the attribute at its `from` path,
+ * and falls back to its value when that one does not exist.
+ * @param  {Array}  actions List of {type, path, value} actions, or an
+ *                          updates object.
+ * @param  {Object} scope   Expression scope.
+ * @return {String}         Update expression.
+ */
+const update = (actions, scope) => {
+	const clauses = {SET: [], REMOVE: [], ADD: [], DELETE: []}
+	updateActions(actions).forEach(action => {
+		const attrName = scope.path(action.path)
+		const value = () => scope.value(action.value, action.path)
+		switch (action.type) {
+		case 'set':
+			clauses.SET.push(`${attrName} = ${value()}`)
+			break
+		case 'setIfNotExists':
+			clauses.SET.push(`${attrName} = if_not_exists(${!!action.from ? scope.path(action.from) : attrName}, ${value()})`)
+			break
+		case 'append':
+			clauses.SET.push(
+				`${attrName} = list_append(if_not_exists(${attrName}, ${scope.value([], 'empty')}), ${value()})`
+			)
+			break
+		case 'remove':
+			clauses.REMOVE.push(attrName)
+			break
+		case 'add':
+			clauses.ADD.push(`${attrName} ${value()}`)
+			break
+		case 'delete':
+			clauses.DELETE.push(`${attrName} ${value()}`)
+			break
+		}
+	})
+	return Object.keys(clauses)
+		.filter(clause => clauses[clause].length > 0)
+		.map(clause => `${clause} ${clauses[clause].join(', ')}`)
+		.join(' ')
+}
+/**
+ * Expression builder. Builds the expressions of a request, written with
+ * the filters language of the models, and merges their attribute names
+ * and values without reusing a placeholder:
+ *
+ *   RxDynamo.query(Object.assign({TableName: 'Posts'}, Expression()
+ *     .keyCondition({UserID: 'a', PostID: {begins_with: 'p'}})
+ *     .filter({Status: {eq: 'published'}})
+ *     .projection(['Title', 'author.name'])
+ *     .params()))
+ *
+ * @param  {Object} params Params whose placeholders are already taken.
+ * @return {Object}        Expression builder.
+ */
+function ExpressionConstructor (params) {
+	///////////////
+	// CONSTANTS //
+	///////////////
+	const keys = []
+	const filtersList = []
+	const conditionList = []
+	const paths = []
+	const actions = []
+	const builder = {}
+	/////////////
+	// PRIVATE //
+	/////////////
+	/**
+	 * Builds an expression in its own scope, and adds it to the params
+	 * with its names and values.
+	 * @param  {Object}   result Params being built.
+	 * @param  {Object}   ctx    Expression context.
+	 * @param  {String}   name   Expression param name.
+	 * @param  {Function} build  Takes the scope and returns the expression.
+	 */
+	const _add = (result, ctx, name, build) => {
+		const exprScope = scope(ctx)
+		const expression = build(exprScope)
+		if (expression.length === 0) return
+		result[name] = expression
+		result.ExpressionAttributeNames = Object.assign({}, result.ExpressionAttributeNames, exprScope.names)
+		if (Object.keys(exprScope.values).length > 0) {
+			result.ExpressionAttributeValues = Object.assign({}, result.ExpressionAttributeValues, exprScope.values)
+		}
+	}
+	/**
+	 * Joins a list of filters objects with AND.
+	 * @param  {Array}  list  List of filters objects.
+	 * @param  {Object} scope Expression scope.
+	 * @return {String}       Condition expression.
+	 */
+	const _joinConditions = (list, scope) => list
+		.reduce((acc, filters) => acc.concat(conditions(filters, scope)), [])
+		.join(' AND ')
+	////////////
+	// PUBLIC //
+	////////////
+	/**
+	 * Adds a condition to the ConditionExpression.
+	 * @param  {Object} filters Condition, written as a filters object.
+	 * @return {Object}         Expression builder.
+	 */
+	builder.condition = (filters) => {
+		conditionList.push(filters)
+		return builder
+	}
+	/**
+	 * Adds filters to the FilterExpression.
+	 * @param  {Object} filters Filters object.
+	 * @return {Object}         Expression builder.
+	 */
+	builder.filter = (filters) => {
+		filtersList.push(filters)
+		return builder
+	}
+	/**
+	 * Adds key attributes to the KeyConditionExpression.
+	 * @param  {Object} key Key attributes with their value or condition.
+	 * @return {Object}     Expression builder.
+	 */
+	builder.keyCondition = (key) => {
+		keys.push(key)
+		return builder
+	}
+	/**
+	 * Adds paths to the ProjectionExpression.
+	 * @param  {Array}  list List of paths, or a comma separated string.
+	 * @return {Object}      Expression builder.
+	 */
+	builder.projection = (list) => {
+		paths.push.apply(paths, Array.isArray(list) ? list : String(list).split(','))
+		return builder
+	}
+	/**
+	 * Adds actions to the UpdateExpression.
+	 * @param  {Object} updates Updates object, like {set: {Name: 'x'}},
+	 *                          or list of update actions.
+	 * @return {Object}         Expression builder.
+	 */
+	builder.update = (updates) => {
+		actions.push.apply(actions, updateActions(updates))
+		return builder
+	}
+	/**
+	 * Returns the expressions with their attribute names and values.
+	 * The placeholders already taken by `params` are not reused.
+	 * @return {Object} DynamoDB expression params.
+	 */
+	builder.params = () => {
+		const ctx = context(params)
+		const result = {}
+		_add(result, ctx, 'KeyConditionExpression', scope =>
+			keys.map(key => keyCondition(key, scope)).join(' AND '))
+		_add(result, ctx, 'FilterExpression', scope => _joinConditions(filtersList, scope))
+		_add(result, ctx, 'ConditionExpression', scope => _joinConditions(conditionList, scope))
+		_add(result, ctx, 'ProjectionExpression', scope => paths.length > 0 ? projection(paths, scope) : '')
+		_add(result, ctx, 'UpdateExpression', scope => update(actions, scope))
+		return result
+	}
+	//////////////////
+	// RETURN VALUE //
+	//////////////////
+	return builder
+}
+
+exports = module.exports = ExpressionConstructor
+exports.OperandMapping = OperandMapping
+exports.context = context
+exports.scope = scope
+exports.conditions = conditions
+exports.keyCondition = keyCondition
+exports.projection = projection
+exports.update = update
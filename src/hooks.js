@@ -0,0 +1,81 @@
+'use strict'
+
+const Rx = require('rx')
+
+const RESOLVED = '__resolved__'
+/**
+ * Marks a value as the final result of an operation. A before hook
+ * that returns it short-circuits the operation: DynamoDB is not
+ * called and the value is emitted as the result.
+ * @param  {Any}    result Operation result.
+ * @return {Object}        Resolved marker.
+ */
+const resolve = (result) => ({[RESOLVED]: true, result})
+/**
+ * Checks if a value is a resolved marker.
+ * @param  {Any}     value Hook value.
+ * @return {Boolean}       Resolved marker query result.
+ */
+const isResolved = (value) => !!value && value[RESOLVED] === true
+/**
+ * Turns the return value of a hook into an observable. Hooks can
+ * return a plain value, a promise or an observable.
+ * @param  {Any} value Hook return value.
+ * @return {Observable} Hook value observable.
+ */
+const toObservable = (value) => {
+	if (!!value && typeof value.subscribe === 'function') return value
+	if (!!value && typeof value.then === 'function') return Rx.Observable.fromPromise(value)
+	return Rx.Observable.just(value)
+}
+/**
+ * Registry of before and after hooks by operation name.
+ * @return {Object} Hooks registry.
+ */
+function HooksConstructor () {
+	const registry = {before: {}, after: {}}
+	/**
+	 * Registers a hook.
+	 * @param  {String}   type      Hook type: before or after.
+	 * @param  {String}   operation Operation name, like save or get.
+	 * @param  {Function} hook      Hook function.
+	 */
+	const register = (type, operation, hook) => {
+		registry[type][operation] || (registry[type][operation] = [])
+		registry[type][operation].push(hook)
+	}
+	/**
+	 * Returns the hooks of an operation.
+	 * @param  {String} type      Hook type: before or after.
+	 * @param  {String} operation Operation name.
+	 * @return {Array}            List of hooks.
+	 */
+	const list = (type, operation) => registry[type][operation] || []
+
+	return {
+		before: (operation, hook) => register('before', operation, hook),
+		after: (operation, hook) => register('after', operation, hook),
+		list,
+	}
+}
+/**
+ * Runs a list of hooks in order. Each hook gets the value returned by
+ * the previous one, and the value is kept if a hook returns undefined.
+ * A resolved marker skips the remaining hooks.
+ * @param  {Array}  hooks   List of hooks.
+ * @param  {Any}    value   Initial value.
+ * @param  {Object} context Hook context.
+ * @return {Observable}     Final value observable.
+ */
+const run = (hooks, value, context) =>
+	hooks.reduce((acc, hook) =>
+		acc.flatMap(current => isResolved(current) ?
+			Rx.Observable.just(current) :
+			Rx.Observable.defer(() => toObservable(hook(current, context)))
+				.map(next => next === undefined ? current : next)),
+	Rx.Observable.just(value))
+
+exports = module.exports = HooksConstructor
+exports.resolve = resolve
+exports.isResolved = isResolved
+exports.run = run
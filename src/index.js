@@ -3,10 +3,25 @@
 const Model = require('./Model.js')
 const RxDynamo = require('./RxDynamo/')
 const RxDynamoConstructor = require('./RxDynamo/Constructor.js')
+const Transaction = require('./Transaction.js')
+const Expression = require('./expressions.js')
+const LocalDynamo = require('./LocalDynamo/Constructor.js')
+const errors = require('./errors.js')
 
 exports = module.exports = {
   Model,
   RxDynamo,
   RxDynamoConstructor,
+  Transaction,
+  Expression,
+  LocalDynamo,
+  RxDynamoError: errors.RxDynamoError,
+  ThrottlingError: errors.ThrottlingError,
+  ConditionalCheckFailedError: errors.ConditionalCheckFailedError,
+  ValidationError: errors.ValidationError,
+  ResourceNotFoundError: errors.ResourceNotFoundError,
+  ItemNotFoundError: errors.ItemNotFoundError,
+  TransactionCanceledError: errors.TransactionCanceledError,
+  TimeoutError: errors.TimeoutError,
+  InvalidCursorError: errors.InvalidCursorError,
 }
-
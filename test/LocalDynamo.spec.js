@@ -0,0 +1,371 @@
+'use strict'
+
+const expect = require('chai').expect
+const LocalDynamo = require('../src/LocalDynamo/Constructor.js')
+
+describe('LocalDynamo', () => {
+	let dynamo
+
+	const call = (method, params) => {
+		let result
+		dynamo[method](params, (err, data) => result = {err, data})
+		if (!!result.err) throw result.err
+		return result.data
+	}
+
+	const callError = (method, params) => {
+		let error
+		dynamo[method](params, err => error = err)
+		return error
+	}
+
+	beforeEach(() => {
+		dynamo = LocalDynamo({tables: {
+			Posts: {
+				HashKey: 'UserID',
+				RangeKey: 'PostID',
+				Indexes: {StatusIndex: {HashKey: 'Status', RangeKey: 'CreatedAt'}},
+			},
+		}})
+		;[1, 2, 3, 4, 5].forEach(n => call('put', {
+			TableName: 'Posts',
+			Item: {
+				UserID: 'a',
+				PostID: `p${n}`,
+				Status: n % 2 ? 'draft' : 'published',
+				CreatedAt: n,
+				Likes: n * 10,
+				Tags: ['x', `t${n}`],
+				Meta: {Views: n},
+			},
+		}))
+	})
+
+	describe('#get(params, cb)', () => {
+		it('should get an item by key', () => {
+			expect(call('get', {TableName: 'Posts', Key: {UserID: 'a', PostID: 'p1'}}).Item.Likes).to.equal(10)
+			expect(call('get', {TableName: 'Posts', Key: {UserID: 'a', PostID: 'p9'}})).to.eql({})
+		})
+
+		it('should project the item attributes', () => {
+			const result = call('get', {
+				TableName: 'Posts',
+				Key: {UserID: 'a', PostID: 'p1'},
+				ProjectionExpression: '#Likes, #Meta.#Views, Tags[1]',
+				ExpressionAttributeNames: {'#Likes': 'Likes', '#Meta': 'Meta', '#Views': 'Views'},
+			})
+			expect(result.Item).to.eql({Likes: 10, Meta: {Views: 1}, Tags: ['t1']})
+		})
+
+		it('should fail on unknown tables and invalid keys', () => {
+			expect(callError('get', {TableName: 'Other', Key: {UserID: 'a'}}).code)
+				.to.equal('ResourceNotFoundException')
+			expect(callError('get', {TableName: 'Posts', Key: {UserID: 'a'}}).code)
+				.to.equal('ValidationException')
+		})
+
+		it('should not share the stored items with the caller', () => {
+			call('get', {TableName: 'Posts', Key: {UserID: 'a', PostID: 'p1'}}).Item.Likes = 0
+			expect(call('get', {TableName: 'Posts', Key: {UserID: 'a', PostID: 'p1'}}).Item.Likes).to.equal(10)
+		})
+	})
+
+	describe('#query(params, cb)', () => {
+		const query = (params) => call('query', Object.assign({
+			TableName: 'Posts',
+			KeyConditionExpression: '#UserID = :UserID',
+			ExpressionAttributeNames: {'#UserID': 'UserID'},
+			ExpressionAttributeValues: {':UserID': 'a'},
+		}, params))
+
+		it('should evaluate the key condition and sort by range key', () => {
+			expect(query({}).Items.map(item => item.PostID)).to.eql(['p1', 'p2', 'p3', 'p4', 'p5'])
+			expect(query({ScanIndexForward: false}).Items.map(item => item.PostID))
+				.to.eql(['p5', 'p4', 'p3', 'p2', 'p1'])
+			expect(query({
+				KeyConditionExpression: '#UserID = :UserID AND #PostID BETWEEN :from AND :to',
+				ExpressionAttributeNames: {'#UserID': 'UserID', '#PostID': 'PostID'},
+				ExpressionAttributeValues: {':UserID': 'a', ':from': 'p2', ':to': 'p3'},
+			}).Items.map(item => item.PostID)).to.eql(['p2', 'p3'])
+		})
+
+		it('should page with Limit and ExclusiveStartKey', () => {
+			const first = query({Limit: 2})
+			expect(first.Items.map(item => item.PostID)).to.eql(['p1', 'p2'])
+			expect(first.LastEvaluatedKey).to.eql({UserID: 'a', PostID: 'p2'})
+			const second = query({Limit: 2, ExclusiveStartKey: first.LastEvaluatedKey})
+			expect(second.Items.map(item => item.PostID)).to.eql(['p3', 'p4'])
+			const third = query({Limit: 2, ExclusiveStartKey: second.LastEvaluatedKey})
+			expect(third.Items.map(item => item.PostID)).to.eql(['p5'])
+			expect(third.LastEvaluatedKey).to.be.undefined
+		})
+
+		it('should apply the filter after the limit', () => {
+			const result = query({
+				Limit: 3,
+				FilterExpression: '#Likes > :Likes AND contains(#Tags, :Tag) AND NOT begins_with(#Status, :Status)',
+				ExpressionAttributeNames: {'#UserID': 'UserID', '#Likes': 'Likes', '#Tags': 'Tags', '#Status': 'Status'},
+				ExpressionAttributeValues: {':UserID': 'a', ':Likes': 10, ':Tag': 'x', ':Status': 'pub'},
+			})
+			expect(result.Items.map(item => item.PostID)).to.eql(['p3'])
+			expect(result.Count).to.equal(1)
+			expect(result.ScannedCount).to.equal(3)
+		})
+
+		it('should query a secondary index', () => {
+			const result = query({
+				IndexName: 'StatusIndex',
+				Limit: 1,
+				ScanIndexForward: false,
+				KeyConditionExpression: '#Status = :Status',
+				ExpressionAttributeNames: {'#Status': 'Status'},
+				ExpressionAttributeValues: {':Status': 'draft'},
+			})
+			expect(result.Items.map(item => item.PostID)).to.eql(['p5'])
+			expect(result.LastEvaluatedKey).to.eql({Status: 'draft', CreatedAt: 5, UserID: 'a', PostID: 'p5'})
+		})
+
+		it('should only count the items with Select COUNT', () => {
+			const result = query({Select: 'COUNT'})
+			expect(result.Count).to.equal(5)
+			expect(result.Items).to.be.undefined
+		})
+
+		it('should reject unused or undefined placeholders', () => {
+			expect(callError('query', {
+				TableName: 'Posts',
+				KeyConditionExpression: '#UserID = :UserID',
+				ExpressionAttributeNames: {'#UserID': 'UserID', '#Other': 'Other'},
+				ExpressionAttributeValues: {':UserID': 'a'},
+			}).code).to.equal('ValidationException')
+			expect(callError('query', {
+				TableName: 'Posts',
+				KeyConditionExpression: '#UserID = :Missing',
+				ExpressionAttributeNames: {'#UserID': 'UserID'},
+			}).code).to.equal('ValidationException')
+		})
+	})
+
+	describe('#scan(params, cb)', () => {
+		it('should scan every item and evaluate the filter', () => {
+			const result = call('scan', {
+				TableName: 'Posts',
+				FilterExpression: '#CreatedAt IN (:a, :b) OR size(#Meta) > :size',
+				ExpressionAttributeNames: {'#CreatedAt': 'CreatedAt', '#Meta': 'Meta'},
+				ExpressionAttributeValues: {':a': 1, ':b': 4, ':size': 1},
+			})
+			expect(result.Items.map(item => item.PostID)).to.eql(['p1', 'p4'])
+		})
+
+		it('should split the items between the segments', () => {
+			call('put', {TableName: 'Posts', Item: {UserID: 'b', PostID: 'p1'}})
+			call('put', {TableName: 'Posts', Item: {UserID: 'c', PostID: 'p1'}})
+			const segments = [0, 1, 2].map(Segment =>
+				call('scan', {TableName: 'Posts', Segment, TotalSegments: 3}).Count)
+			expect(segments.reduce((a, b) => a + b)).to.equal(7)
+		})
+	})
+
+	describe('#put(params, cb)', () => {
+		it('should check the condition expression', () => {
+			const params = {
+				TableName: 'Posts',
+				Item: {UserID: 'a', PostID: 'p1'},
+				ConditionExpression: 'attribute_not_exists(#UserID)',
+				ExpressionAttributeNames: {'#UserID': 'UserID'},
+			}
+			expect(callError('put', params).code).to.equal('ConditionalCheckFailedException')
+			expect(call('put', Object.assign({}, params, {Item: {UserID: 'z', PostID: 'p1'}}))).to.eql({})
+		})
+
+		it('should return the old item', () => {
+			const result = call('put', {
+				TableName: 'Posts',
+				Item: {UserID: 'a', PostID: 'p1'},
+				ReturnValues: 'ALL_OLD',
+			})
+			expect(result.Attributes.Likes).to.equal(10)
+		})
+	})
+
+	describe('#update(params, cb)', () => {
+		const update = (params) => call('update', Object.assign({
+			TableName: 'Posts',
+			Key: {UserID: 'a', PostID: 'p1'},
+			ReturnValues: 'ALL_NEW',
+		}, params))
+
+		it('should apply SET, REMOVE, ADD and DELETE actions', () => {
+			const result = update({
+				UpdateExpression: 'SET #Likes = #Likes + :one, #Tags = list_append(#Tags, :tags), ' +
+					'#Meta.#Views = if_not_exists(#Missing, :zero) REMOVE #Status ADD #Count :one, #Set :set DELETE #Other :set',
+				ExpressionAttributeNames: {
+					'#Likes': 'Likes', '#Tags': 'Tags', '#Meta': 'Meta', '#Views': 'Views',
+					'#Missing': 'Missing', '#Status': 'Status', '#Count': 'Count', '#Set': 'Set', '#Other': 'Other',
+				},
+				ExpressionAttributeValues: {
+					':one': 1, ':tags': ['y'], ':zero': 0, ':set': dynamo.createSet(['s']),
+				},
+			})
+			expect(result.Attributes.Likes).to.equal(11)
+			expect(result.Attributes.Tags).to.eql(['x', 't1', 'y'])
+			expect(result.Attributes.Meta).to.eql({Views: 0})
+			expect(result.Attributes.Status).to.be.undefined
+			expect(result.Attributes.Count).to.equal(1)
+			expect(result.Attributes.Set.values).to.eql(['s'])
+		})
+
+		it('should create the item if it does not exist', () => {
+			const result = update({
+				Key: {UserID: 'n', PostID: 'p1'},
+				UpdateExpression: 'ADD #Count :one',
+				ExpressionAttributeNames: {'#Count': 'Count'},
+				ExpressionAttributeValues: {':one': 1},
+			})
+			expect(result.Attributes).to.eql({UserID: 'n', PostID: 'p1', Count: 1})
+		})
+
+		it('should return the updated attributes', () => {
+			const result = update({
+				UpdateExpression: 'SET #Likes = :likes',
+				ExpressionAttributeNames: {'#Likes': 'Likes'},
+				ExpressionAttributeValues: {':likes': 0},
+				ReturnValues: 'UPDATED_OLD',
+			})
+			expect(result.Attributes).to.eql({Likes: 10})
+		})
+
+		it('should not update the key attributes', () => {
+			expect(callError('update', {
+				TableName: 'Posts',
+				Key: {UserID: 'a', PostID: 'p1'},
+				UpdateExpression: 'SET #PostID = :id',
+				ExpressionAttributeNames: {'#PostID': 'PostID'},
+				ExpressionAttributeValues: {':id': 'p0'},
+			}).code).to.equal('ValidationException')
+		})
+
+		it('should check the condition expression', () => {
+			expect(callError('update', {
+				TableName: 'Posts',
+				Key: {UserID: 'a', PostID: 'p1'},
+				UpdateExpression: 'SET #Likes = :likes',
+				ConditionExpression: '#Likes >= :likes',
+				ExpressionAttributeNames: {'#Likes': 'Likes'},
+				ExpressionAttributeValues: {':likes': 100},
+			}).code).to.equal('ConditionalCheckFailedException')
+		})
+	})
+
+	describe('#delete(params, cb)', () => {
+		it('should delete an item', () => {
+			const result = call('delete', {
+				TableName: 'Posts',
+				Key: {UserID: 'a', PostID: 'p1'},
+				ReturnValues: 'ALL_OLD',
+			})
+			expect(result.Attributes.PostID).to.equal('p1')
+			expect(dynamo.items('Posts').length).to.equal(4)
+		})
+	})
+
+	describe('batch operations', () => {
+		it('should write and get items in batches', () => {
+			call('batchWrite', {RequestItems: {Posts: [
+				{PutRequest: {Item: {UserID: 'b', PostID: 'p1'}}},
+				{DeleteRequest: {Key: {UserID: 'a', PostID: 'p1'}}},
+			]}})
+			const result = call('batchGet', {RequestItems: {Posts: {Keys: [
+				{UserID: 'b', PostID: 'p1'},
+				{UserID: 'a', PostID: 'p1'},
+			]}}})
+			expect(result.Responses.Posts).to.eql([{UserID: 'b', PostID: 'p1'}])
+			expect(result.UnprocessedKeys).to.eql({})
+		})
+	})
+
+	describe('transactions', () => {
+		it('should not write anything when a condition fails', () => {
+			const error = callError('transactWrite', {TransactItems: [
+				{Put: {TableName: 'Posts', Item: {UserID: 'b', PostID: 'p1'}}},
+				{ConditionCheck: {
+					TableName: 'Posts',
+					Key: {UserID: 'a', PostID: 'p1'},
+					ConditionExpression: 'attribute_not_exists(#UserID)',
+					ExpressionAttributeNames: {'#UserID': 'UserID'},
+				}},
+			]})
+			expect(error.code).to.equal('TransactionCanceledException')
+			expect(error.CancellationReasons.map(reason => reason.Code)).to.eql(['None', 'ConditionalCheckFailed'])
+			expect(dynamo.items('Posts').length).to.equal(5)
+		})
+
+		it('should get several items', () => {
+			const result = call('transactGet', {TransactItems: [
+				{Get: {TableName: 'Posts', Key: {UserID: 'a', PostID: 'p1'}}},
+				{Get: {TableName: 'Posts', Key: {UserID: 'a', PostID: 'p9'}}},
+			]})
+			expect(result.Responses[0].Item.PostID).to.equal('p1')
+			expect(result.Responses[1]).to.eql({})
+		})
+	})
+
+	describe('latency', () => {
+		it('should answer asynchronously, and abort the pending requests', (done) => {
+			dynamo = LocalDynamo({latency: 5, tables: {Posts: {HashKey: 'UserID'}}})
+			let aborted
+			dynamo.put({TableName: 'Posts', Item: {UserID: 'a'}}, err => aborted = err).abort()
+			dynamo.get({TableName: 'Posts', Key: {UserID: 'a'}}, (err, data) => {
+				expect(aborted.code).to.equal('RequestAbortedError')
+				expect(data).to.eql({})
+				done()
+			})
+		})
+	})
+
+	describe('table management', () => {
+		it('should create, update, describe and delete tables', () => {
+			call('createTable', {
+				TableName: 'Users',
+				KeySchema: [{AttributeName: 'ID', KeyType: 'HASH'}],
+				AttributeDefinitions: [{AttributeName: 'ID', AttributeType: 'S'}],
+				BillingMode: 'PAY_PER_REQUEST',
+			})
+			expect(callError('createTable', {TableName: 'Users'}).code).to.equal('ResourceInUseException')
+			call('put', {TableName: 'Users', Item: {ID: 'a', Email: 'a@b.c'}})
+			call('updateTable', {
+				TableName: 'Users',
+				GlobalSecondaryIndexUpdates: [{Create: {
+					IndexName: 'EmailIndex',
+					KeySchema: [{AttributeName: 'Email', KeyType: 'HASH'}],
+					Projection: {ProjectionType: 'ALL'},
+				}}],
+			})
+			call('updateTimeToLive', {
+				TableName: 'Users',
+				TimeToLiveSpecification: {AttributeName: 'ExpiresAt', Enabled: true},
+			})
+			const table = call('describeTable', {TableName: 'Users'}).Table
+			expect(table.TableStatus).to.equal('ACTIVE')
+			expect(table.ItemCount).to.equal(1)
+			expect(table.GlobalSecondaryIndexes.map(index => index.IndexName)).to.eql(['EmailIndex'])
+			expect(table.TimeToLiveDescription).to.eql({AttributeName: 'ExpiresAt', TimeToLiveStatus: 'ENABLED'})
+			expect(call('query', {
+				TableName: 'Users',
+				IndexName: 'EmailIndex',
+				KeyConditionExpression: 'Email = :Email',
+				ExpressionAttributeValues: {':Email': 'a@b.c'},
+			}).Count).to.equal(1)
+			call('deleteTable', {TableName: 'Users'})
+			expect(callError('describeTable', {TableName: 'Users'}).code).to.equal('ResourceNotFoundException')
+		})
+
+		it('should wait for the tables state', () => {
+			let exists, notExists
+			dynamo.waitFor('tableExists', {TableName: 'Posts'}, (err, data) => exists = data)
+			dynamo.waitFor('tableExists', {TableName: 'Users'}, err => notExists = err)
+			expect(exists.Table.TableName).to.equal('Posts')
+			expect(notExists.code).to.equal('ResourceNotReady')
+		})
+	})
+})
\ No newline at end of file
@@ -8,6 +8,11 @@ const Joi = require('joi')
 const base64url = require('base64-url')
 const RxDynamo = require('../src/RxDynamo/')
 const Model = require('../src/Model.js')
+const errors = require('../src/errors.js')
+const RxDynamoConstructor = require('../src/RxDynamo/Constructor.js')
+const LocalDynamo = require('../src/LocalDynamo/Constructor.js')
+const Transaction = require('../src/Transaction.js')
+const dynamoStub = require('./stubs/RxDynamo.stub.js').dynamoStub
 const expect = chai.expect
 chai.use(sinonChai)
 
@@ -20,18 +25,55 @@ const dynamoMethods = [
 	'put',
 	'query',
 	'scan',
+	'transactGet',
+	'transactWrite',
 	'update',
 ]
 const just = (arg) => Rx.Observable.just(arg)
+const TableName = 'dynamdb-table-example'
+
+// Stub DBs shared by the tests that need a DB of their own
+const writeDB = () => ({
+	put: sinon.spy(params => just(params)),
+	update: sinon.spy(params => just({Attributes: params})),
+	batchWrite: sinon.spy(() => just({})),
+})
+const getDB = () => ({
+	get: sinon.spy(params => just({Item: {ID: params.Key.ID, Secret: 'x'}})),
+	put: sinon.spy(params => just(params)),
+})
+const unprocessedDB = (responses) => ({
+	batchWrite: sinon.spy(() => just({
+		UnprocessedItems: {[TableName]: responses.shift() || []}
+	}))
+})
+const batchGetDB = (responses) => ({
+	batchGet: sinon.spy(() => just(responses.shift()))
+})
+const queryDB = (items, LastEvaluatedKey) => ({
+	query: sinon.spy(() => just({Items: items.slice(), LastEvaluatedKey}))
+})
+const pagedScanDB = () => ({scan: sinon.spy((params) => {
+	const prefix = params.Segment !== undefined ? `${params.Segment}-` : ''
+	return just(!params.ExclusiveStartKey ?
+		{Items: [{ID: `${prefix}1`}], LastEvaluatedKey: {ID: `${prefix}1`}} :
+		{Items: [{ID: `${prefix}2`}]})
+})})
+const pagedQueryDB = () => ({query: sinon.spy((params) => {
+	const page = !params.ExclusiveStartKey ? 0 : params.ExclusiveStartKey.Page
+	return just({
+		Items: [{ID: page * 2}, {ID: page * 2 + 1}],
+		LastEvaluatedKey: {Page: page + 1},
+	})
+})})
 
 describe('Model', () => {
-	let TableName, CustomModel, stubs
+	let CustomModel, stubs
 
 	before(() => {
 		stubs = dynamoMethods.map(method => 
 			({[`${method}`]: sinon.stub(RxDynamo, method, just)})
 		).reduce((acc, x) => Object.assign({}, acc, x), {})
-		TableName = 'dynamdb-table-example'
 		CustomModel = Model({
 			TableName,
 			Schema: Joi.object().keys({
@@ -107,6 +149,12 @@ describe('Model', () => {
 	})
 
 	describe('#_pageOptions(options)', () => {
+		it('should follow the order of the query', () => {
+			const encodedKey = base64url.encode(JSON.stringify({ID:1, Range:2}))
+			expect(CustomModel._pageOptions({page: encodedKey, order: 'asc'}).ScanIndexForward).to.be.true
+			expect(CustomModel._pageOptions({page: '-' + encodedKey, order: 'asc'}).ScanIndexForward).to.be.false
+		})
+
 		it('should return an empty object if options.page is undefined', () => {
 			expect(JSON.stringify(CustomModel._pageOptions({}))).to.equal('{}')
 		})
@@ -166,6 +214,105 @@ describe('Model', () => {
 			const actual = JSON.stringify(CustomModel._filterOptions({filters}))
 			expect(actual).to.equal(expected)
 		})
+
+		it('should not reuse a value placeholder for several conditions on a key', () => {
+			const actual = CustomModel._filterOptions({filters: {age: {gt: 1, lt: 9}}})
+			expect(actual).to.eql({
+				ExpressionAttributeNames: {'#age': 'age'},
+				ExpressionAttributeValues: {':age': 1, ':age_1': 9},
+				FilterExpression: '#age > :age AND #age < :age_1',
+			})
+		})
+
+		it('should build the between, in, begins_with, contains and attribute_type conditions', () => {
+			const actual = CustomModel._filterOptions({filters: {
+				age: {between: [1, 9]},
+				status: {in: ['a', 'b']},
+				name: {begins_with: 'J'},
+				tags: {contains: 'x'},
+				kind: {attribute_type: 'S'},
+			}})
+			expect(actual.FilterExpression).to.equal([
+				'#age BETWEEN :age AND :age_1',
+				'#status IN (:status, :status_1)',
+				'begins_with(#name, :name)',
+				'contains(#tags, :tags)',
+				'attribute_type(#kind, :kind)',
+			].join(' AND '))
+			expect(actual.ExpressionAttributeValues).to.eql({
+				':age': 1, ':age_1': 9, ':status': 'a', ':status_1': 'b',
+				':name': 'J', ':tags': 'x', ':kind': 'S',
+			})
+		})
+
+		it('should build the attribute existence and size conditions', () => {
+			const actual = CustomModel._filterOptions({filters: {
+				email: {exists: true},
+				phone: {exists: false},
+				deleted: {not_exists: true},
+				items: {size: {gt: 3, le: 10}},
+			}})
+			expect(actual.FilterExpression).to.equal([
+				'attribute_exists(#email)',
+				'attribute_not_exists(#phone)',
+				'attribute_not_exists(#deleted)',
+				'size(#items) > :items AND size(#items) <= :items_1',
+			].join(' AND '))
+		})
+
+		it('should map nested attribute paths', () => {
+			const actual = CustomModel._filterOptions({filters: {
+				'address.city': {eq: 'Montevideo'},
+				'tags[0]': {eq: 'first'},
+				'first-name': {eq: 'John'},
+			}})
+			expect(actual).to.eql({
+				ExpressionAttributeNames: {
+					'#address': 'address',
+					'#city': 'city',
+					'#tags': 'tags',
+					'#first_name': 'first-name',
+				},
+				ExpressionAttributeValues: {
+					':address_city': 'Montevideo',
+					':tags_0_': 'first',
+					':first_name': 'John',
+				},
+				FilterExpression: '#address.#city = :address_city AND #tags[0] = :tags_0_ AND #first_name = :first_name',
+			})
+		})
+
+		it('should group the conditions with and, or and not', () => {
+			const actual = CustomModel._filterOptions({filters: {
+				or: [
+					{age: {lt: 18}},
+					{age: {gt: 65}, status: {eq: 'retired'}},
+				],
+				not: {status: {in: ['banned']}},
+			}})
+			expect(actual.FilterExpression).to.equal(
+				'(#age < :age OR (#age > :age_1 AND #status = :status)) AND NOT (#status IN (:status_1))'
+			)
+		})
+
+		it('should throw on unknown operators', () => {
+			expect(() => CustomModel._filterOptions({filters: {age: {like: 1}}}))
+				.to.throw('"like" is not a valid filter operator')
+			expect(() => CustomModel._filterOptions({filters: {age: {size: {contains: 1}}}}))
+				.to.throw('"contains" is not a valid size operator')
+		})
+
+		it('should not collide with the placeholders already in use', () => {
+			const context = CustomModel._expressionContext({
+				ExpressionAttributeNames: {'#hkey': 'ID'},
+				ExpressionAttributeValues: {':hvalue': 1},
+			})
+			const actual = CustomModel._filterOptions({filters: {
+				hkey: {eq: 1},
+				hvalue: {eq: 2},
+			}}, context)
+			expect(actual.FilterExpression).to.equal('#hkey_1 = :hkey AND #hvalue = :hvalue_1')
+		})
 	})
 
 	describe('#_fieldsOptions(options)', () => {
@@ -195,12 +342,6 @@ describe('Model', () => {
 		})
 	})
 
-	describe('#_buildFilter(key, value, operand)', () => {
-		it('should join the three parameters', () => {
-			expect(CustomModel._buildFilter('Test', 'Example', '=')).to.equal('Test = Example')
-		})
-	})
-
 	describe('#_refineItem(item, options)', () => {
 		const item = {ID:1, Range: 3, Test: 'Example'}
 		const options = {include_fields: false, fields: 'Test,Range'}
@@ -265,14 +406,16 @@ describe('Model', () => {
 
 	describe('#_buildResponse(result, params, options)', () => {
 		it('should return all the items if params and options are default', () => {
-			const expected = JSON.stringify({items})
+			const expected = JSON.stringify({items, hasNext: false, hasPrev: false})
 			const actual = JSON.stringify(CustomModel._buildResponse(result, params, {}))
 			expect(actual).to.equal(expected)
 		})
 
 		it('should return the procesed items when options.include_fields and options.fields is defined', () => {
 			const expected = JSON.stringify({
-				items: [{ID:1},{ID:2}]
+				items: [{ID:1},{ID:2}],
+				hasNext: false,
+				hasPrev: false,
 			})
 			const actual = JSON.stringify(CustomModel._buildResponse(result, params, options))
 			expect(actual).to.equal(expected)
@@ -281,6 +424,8 @@ describe('Model', () => {
 		it('should return the procesed items when options.include_fields and options.fields and pagination key is defined', () => {
 			const expected = JSON.stringify({
 				items: [{ID:1},{ID:2}],
+				hasNext: false,
+				hasPrev: false,
 			})
 			const _options = Object.assign({}, options, {page: encodedKey})
 			const actual = JSON.stringify(CustomModel._buildResponse(result, params, _options))
@@ -291,10 +436,23 @@ describe('Model', () => {
 			const expected = JSON.stringify({
 				items: [{ID:2},{ID:1}],
 				nextPage: encodedKey,
+				hasNext: true,
+				hasPrev: false,
 			})
 			const _options = Object.assign({}, options, {page: '-' + encodedKey})
 			const actual = JSON.stringify(CustomModel._buildResponse(result, params, _options))
 			expect(actual).to.equal(expected)
+			expect(result.Items[0].ID).to.equal(1)
+		})
+
+		it('should drop the item read ahead and keep the order of the query', () => {
+			const _result = {Items: items.concat({ID:3, Range: 3, Test: 'Example'}), LastEvaluatedKey: {ID:3, Range:3}}
+			const _params = Object.assign({}, params, {ExclusiveStartKey: key})
+			const actual = CustomModel._buildResponse(_result, _params, {limit: 2, page: '-' + encodedKey})
+			expect(actual.items.map(item => item.ID)).to.eql([2, 1])
+			expect(actual.prevPage).to.equal('-' + base64url.encode(JSON.stringify({ID:2, Range:3})))
+			expect(actual.hasPrev).to.be.true
+			expect(actual.hasNext).to.be.true
 		})
 	})
 
@@ -329,6 +487,14 @@ describe('Model', () => {
 			const actual = JSON.stringify(CustomModel._buildPaginationKey(result, _params, items, options))
 			expect(actual).to.equal(expected)
 		})
+
+		it('should go on from the LastEvaluatedKey of an empty page', () => {
+			const result = {Items: [], LastEvaluatedKey}
+			expect(CustomModel._buildPaginationKey(result, params, [], options))
+				.to.eql({nextPage: encodedKey})
+			expect(CustomModel._buildPaginationKey(result, params, [], {page: '-' + encodedExclusiveKey}))
+				.to.eql({prevPage: '-' + encodedKey})
+		})
 	})
 
 	describe('#save(item)', () => {
@@ -344,17 +510,18 @@ describe('Model', () => {
 		})
 	})
 
-	describe('#saveAll(items)', () => {
+	describe('#saveAll(items, options)', () => {
 		it('should build a correct DynamoDB params object', () => {
 			const items = [
 				{ID:1, Range:2, Test: 'Example'}, 
 				{ID:2, Range:3, Test: 'Example'}
 			]
 			CustomModel.saveAll(items)
-			.subscribe(result => {
-				expect(result).to.include.keys('RequestItems')
-				expect(Object.keys(result).length).to.equal(1)
-				const table = result.RequestItems[TableName]
+			.subscribe(() => {
+				const params = RxDynamo.batchWrite.lastCall.args[0]
+				expect(params).to.include.keys('RequestItems')
+				expect(Object.keys(params).length).to.equal(1)
+				const table = params.RequestItems[TableName]
 				expect(table.length).to.equal(2)
 				table.map(row => {
 					expect(row).to.include.keys('PutRequest')
@@ -364,9 +531,18 @@ describe('Model', () => {
 				})
 			})
 		})
+
+		it('should split the items in chunks of 25 and emit a summary', () => {
+			const items = Array.from({length: 60}, (_, i) => ({ID: i, Range: 1}))
+			const callCount = RxDynamo.batchWrite.callCount
+			let summary
+			CustomModel.saveAll(items).subscribe(x => summary = x)
+			expect(RxDynamo.batchWrite.callCount - callCount).to.equal(3)
+			expect(summary).to.eql({written: 60, failed: [], retries: [0, 0, 0]})
+		})
 	})
 
-	describe('#destroyAll(keys)', () => {
+	describe('#destroyAll(keys, options)', () => {
 		it('should build a correct DynamoDB params object', () => {
 			const keys = [[1, 2], [2, 2]]
 			const schema = {
@@ -383,8 +559,1630 @@ describe('Model', () => {
 			}
 			CustomModel.destroyAll(keys)
 			.subscribe(result => {
-				expect(!!Joi.validate(result, schema).error).to.be.false
+				const params = RxDynamo.batchWrite.lastCall.args[0]
+				expect(!!Joi.validate(params, schema).error).to.be.false
+				expect(result.written).to.equal(2)
+			})
+		})
+	})
+
+	describe('#_batchWrite(requests, options)', () => {
+		const request = (ID) => ({DeleteRequest: {Key: {ID, Range: 1}}})
+
+		it('should resend the UnprocessedItems until they are all written', () => {
+			const scheduler = new Rx.TestScheduler()
+			const DB = unprocessedDB([[request(2)], [request(2)]])
+			const RetryModel = Model({TableName, RangeKey: 'Range', DB})
+			let summary
+			RetryModel._batchWrite([request(1), request(2)], {scheduler})
+				.subscribe(x => summary = x)
+			scheduler.start()
+			expect(DB.batchWrite).to.have.been.calledThrice
+			expect(DB.batchWrite.thirdCall.args[0].RequestItems[TableName])
+				.to.eql([request(2)])
+			expect(summary).to.eql({written: 2, failed: [], retries: [2]})
+		})
+
+		it('should report the failed keys when the retry cap is reached', () => {
+			const scheduler = new Rx.TestScheduler()
+			const DB = unprocessedDB([[request(2)], [request(2)], [request(2)]])
+			const RetryModel = Model({TableName, RangeKey: 'Range', DB, MaxRetries: 1})
+			let summary
+			RetryModel._batchWrite([request(1), request(2)], {scheduler})
+				.subscribe(x => summary = x)
+			scheduler.start()
+			expect(DB.batchWrite).to.have.been.calledTwice
+			expect(summary).to.eql({written: 1, failed: [{ID: 2, Range: 1}], retries: [1]})
+		})
+	})
+
+	describe('#getAll(keys, options)', () => {
+		it('should split the keys in chunks of 100', () => {
+			const keys = Array.from({length: 150}, (_, i) => [i, 1])
+			const DB = batchGetDB([
+				{Responses: {[TableName]: [{ID: 1, Range: 1}]}},
+				{Responses: {[TableName]: [{ID: 120, Range: 1}]}},
+			])
+			const GetModel = Model({TableName, RangeKey: 'Range', DB})
+			let items
+			GetModel.getAll(keys).subscribe(x => items = x)
+			expect(DB.batchGet).to.have.been.calledTwice
+			expect(DB.batchGet.firstCall.args[0].RequestItems[TableName].Keys.length).to.equal(100)
+			expect(DB.batchGet.secondCall.args[0].RequestItems[TableName].Keys.length).to.equal(50)
+			expect(items).to.eql([{ID: 1, Range: 1}, {ID: 120, Range: 1}])
+		})
+
+		it('should read the repeated keys once', () => {
+			const DB = batchGetDB([{Responses: {[TableName]: [{ID: 1, Range: 1}, {ID: 2, Range: 1}]}}])
+			const GetModel = Model({TableName, RangeKey: 'Range', DB})
+			let items
+			GetModel.getAll([[1, 1], [2, 1], [1, 1]], {ordered: true}).subscribe(x => items = x)
+			expect(DB.batchGet.firstCall.args[0].RequestItems[TableName].Keys)
+				.to.eql([{ID: 1, Range: 1}, {ID: 2, Range: 1}])
+			expect(items).to.eql([{ID: 1, Range: 1}, {ID: 2, Range: 1}, {ID: 1, Range: 1}])
+		})
+
+		it('should retry the UnprocessedKeys', () => {
+			const scheduler = new Rx.TestScheduler()
+			const DB = batchGetDB([
+				{
+					Responses: {[TableName]: [{ID: 1, Range: 1}]},
+					UnprocessedKeys: {[TableName]: {Keys: [{ID: 2, Range: 1}]}},
+				},
+				{Responses: {[TableName]: [{ID: 2, Range: 1}]}},
+			])
+			const GetModel = Model({TableName, RangeKey: 'Range', DB})
+			let items
+			GetModel.getAll([[1, 1], [2, 1]], {scheduler}).subscribe(x => items = x)
+			scheduler.start()
+			expect(DB.batchGet.secondCall.args[0].RequestItems[TableName].Keys)
+				.to.eql([{ID: 2, Range: 1}])
+			expect(items).to.eql([{ID: 1, Range: 1}, {ID: 2, Range: 1}])
+		})
+
+		it('should return the items in key order with null placeholders', () => {
+			const DB = batchGetDB([{Responses: {[TableName]: [
+				{ID: 3, Range: 1, Test: 'c'},
+				{ID: 1, Range: 1, Test: 'a'},
+			]}}])
+			const GetModel = Model({TableName, RangeKey: 'Range', DB})
+			let items
+			GetModel.getAll([[1, 1], [2, 1], [3, 1]], {
+				ordered: true,
+				include_fields: false,
+				fields: 'Range',
+			}).subscribe(x => items = x)
+			expect(items).to.eql([{ID: 1, Test: 'a'}, null, {ID: 3, Test: 'c'}])
+		})
+
+		it('should project the key attributes needed to order the items', () => {
+			const DB = batchGetDB([{Responses: {[TableName]: [
+				{ID: 1, Range: 1, Test: 'a'},
+			]}}])
+			const GetModel = Model({TableName, RangeKey: 'Range', DB})
+			let items
+			GetModel.getAll([[1, 1]], {
+				ordered: true,
+				include_fields: true,
+				fields: 'Test',
+			}).subscribe(x => items = x)
+			const request = DB.batchGet.firstCall.args[0].RequestItems[TableName]
+			expect(request.ProjectionExpression).to.equal('#Test,#ID,#Range')
+			expect(items).to.eql([{Test: 'a'}])
+		})
+	})
+
+	describe('#scan(options)', () => {
+		it('should build the scan params and encode the LastEvaluatedKey', () => {
+			const LastEvaluatedKey = {ID: 2, Range: 1}
+			const DB = {scan: sinon.spy(() => just({
+				Items: [{ID: 1, Range: 1, Test: 'a'}, {ID: 2, Range: 1, Test: 'b'}],
+				LastEvaluatedKey,
+			}))}
+			const ScanModel = Model({TableName, RangeKey: 'Range', DB})
+			let response
+			ScanModel.scan({
+				limit: 2,
+				page: encodedKey,
+				filters: {Test: {ne: 'c'}},
+				include_fields: false,
+				fields: 'Test',
+			}).subscribe(x => response = x)
+			expect(DB.scan.firstCall.args[0]).to.eql({
+				TableName,
+				Limit: 2,
+				ExpressionAttributeNames: {'#Test': 'Test'},
+				ExpressionAttributeValues: {':Test': 'c'},
+				FilterExpression: '#Test <> :Test',
+				ExclusiveStartKey: key,
+			})
+			expect(response).to.eql({
+				items: [{ID: 1, Range: 1}, {ID: 2, Range: 1}],
+				nextPage: base64url.encode(JSON.stringify(LastEvaluatedKey)),
+			})
+		})
+	})
+
+	describe('#scanAll(options)', () => {
+		it('should follow the LastEvaluatedKey until the table is read', () => {
+			const DB = pagedScanDB()
+			const ScanModel = Model({TableName, DB})
+			let items
+			ScanModel.scanAll().toArray().subscribe(x => items = x)
+			expect(DB.scan).to.have.been.calledTwice
+			expect(items).to.eql([{ID: '1'}, {ID: '2'}])
+		})
+
+		it('should merge the segments of a parallel scan', () => {
+			const DB = pagedScanDB()
+			const ScanModel = Model({TableName, DB})
+			let items
+			ScanModel.scanAll({totalSegments: 3, concurrency: 1})
+				.toArray()
+				.subscribe(x => items = x)
+			expect(DB.scan.callCount).to.equal(6)
+			DB.scan.args.forEach(args => expect(args[0].TotalSegments).to.equal(3))
+			expect(items.map(item => item.ID)).to.eql(['0-1', '0-2', '1-1', '1-2', '2-1', '2-2'])
+		})
+
+		it('should emit the errors of an invalid page', () => {
+			const DB = pagedScanDB()
+			const ScanModel = Model({TableName, DB})
+			let error, parallelError
+			expect(() => ScanModel.scanAll({page: 'garbage'})
+				.subscribe(() => {}, err => error = err)).to.not.throw()
+			ScanModel.scanAll({totalSegments: 2, page: base64url.encode(JSON.stringify({ID: '1'}))})
+				.subscribe(() => {}, err => parallelError = err)
+			expect(error).to.be.instanceof(errors.InvalidCursorError)
+			expect(parallelError.message).to.equal('"page" can only resume the scan of a single segment')
+			expect(DB.scan).to.not.have.been.called
+		})
+	})
+
+	describe('#streamBy(key, value, options)', () => {
+		it('should emit the items of every page one by one', () => {
+			const DB = {query: sinon.spy((params) => just(!params.ExclusiveStartKey ?
+				{Items: [{ID: 0}, {ID: 1}], LastEvaluatedKey: {ID: 1}} :
+				{Items: [{ID: 2}]}
+			))}
+			const StreamModel = Model({TableName, DB})
+			const values = []
+			StreamModel.streamBy('ID', 1).subscribe(x => values.push(x))
+			expect(DB.query).to.have.been.calledTwice
+			expect(DB.query.firstCall.args[0]).to.include.keys('KeyConditionExpression')
+			expect(DB.query.secondCall.args[0].ExclusiveStartKey).to.eql({ID: 1})
+			expect(values).to.eql([{ID: 0}, {ID: 1}, {ID: 2}])
+		})
+
+		it('should stop requesting pages once the subscription is disposed', () => {
+			const DB = pagedQueryDB()
+			const StreamModel = Model({TableName, DB})
+			const values = []
+			StreamModel.streamBy('ID', 1).take(3).subscribe(x => values.push(x.ID))
+			expect(DB.query).to.have.been.calledTwice
+			expect(values).to.eql([0, 1, 2])
+		})
+
+		it('should not request anything until subscribed', () => {
+			const DB = pagedQueryDB()
+			const StreamModel = Model({TableName, DB})
+			StreamModel.streamBy('ID', 1)
+			expect(DB.query).to.not.have.been.called
+		})
+
+		it('should cap the items and pages read', () => {
+			const DB = pagedQueryDB()
+			const StreamModel = Model({TableName, DB})
+			const byItems = []
+			const byPages = []
+			StreamModel.streamBy('ID', 1, {maxItems: 5}).subscribe(x => byItems.push(x.ID))
+			StreamModel.streamBy('ID', 1, {maxPages: 2}).subscribe(x => byPages.push(x.ID))
+			expect(byItems).to.eql([0, 1, 2, 3, 4])
+			expect(byPages).to.eql([0, 1, 2, 3])
+		})
+	})
+
+	describe('secondary indexes', () => {
+		const Indexes = {
+			ByTest: {HashKey: 'Test', RangeKey: 'CreatedAt'},
+			ByOwner: {HashKey: 'Owner'},
+		}
+		const items = [
+			{ID: 1, Range: 1, Test: 'a', CreatedAt: 10},
+			{ID: 2, Range: 1, Test: 'a', CreatedAt: 20},
+		]
+
+		it('should query the index narrowed by the range condition', () => {
+			const DB = queryDB(items, {ID: 2, Range: 1, Test: 'a', CreatedAt: 20})
+			const IndexModel = Model({TableName, RangeKey: 'Range', Indexes, DB})
+			let response
+			IndexModel.allBy('Test', 'a', {index: 'ByTest', range: {between: [5, 25]}})
+				.subscribe(x => response = x)
+			const params = DB.query.firstCall.args[0]
+			expect(params.IndexName).to.equal('ByTest')
+			expect(params.KeyConditionExpression)
+				.to.equal('#Test = :Test AND #CreatedAt BETWEEN :CreatedAt AND :CreatedAt_1')
+			expect(params.ExpressionAttributeNames).to.eql({'#Test': 'Test', '#CreatedAt': 'CreatedAt'})
+			expect(params.ExpressionAttributeValues).to.eql({':Test': 'a', ':CreatedAt': 5, ':CreatedAt_1': 25})
+			expect(IndexModel.lastEvaluatedKey(response.nextPage))
+				.to.eql({ID: 2, Range: 1, Test: 'a', CreatedAt: 20})
+		})
+
+		it('should build the begins_with and comparison range conditions', () => {
+			expect(CustomModel._keyConditionOptions('ID', 1, {range: {begins_with: 'ab'}}).KeyConditionExpression)
+				.to.equal('#ID = :ID AND begins_with(#Range, :Range)')
+			expect(CustomModel._keyConditionOptions('ID', 1, {range: {gt: 3}}).KeyConditionExpression)
+				.to.equal('#ID = :ID AND #Range > :Range')
+			expect(() => CustomModel._keyConditionOptions('ID', 1, {range: {ne: 3}}))
+				.to.throw('"ne" is not a valid key condition')
+		})
+
+		it('should share the placeholders of the key condition with the filters', () => {
+			const params = CustomModel._keyConditionOptions('ID', 1, {range: {gt: 3}})
+			const filter = CustomModel._filterOptions({filters: {Range: {lt: 9}}},
+				CustomModel._expressionContext(params))
+			expect(filter.FilterExpression).to.equal('#Range < :Range_1')
+		})
+
+		it('should narrow the table range key when no index is given', () => {
+			const params = CustomModel._keyConditionOptions('ID', 1, {range: {le: 5}})
+			expect(params.KeyConditionExpression).to.equal('#ID = :ID AND #Range <= :Range')
+			expect(params.ExpressionAttributeNames['#Range']).to.equal('Range')
+			expect(params).to.not.include.keys('IndexName')
+		})
+
+		it('should count the items of an index', () => {
+			const DB = {query: sinon.spy(() => just({Count: 3}))}
+			const IndexModel = Model({TableName, Indexes, DB})
+			let count
+			IndexModel.countBy('Owner', 'me', {index: 'ByOwner'}).subscribe(x => count = x)
+			expect(DB.query.firstCall.args[0].IndexName).to.equal('ByOwner')
+			expect(DB.query.firstCall.args[0].Select).to.equal('COUNT')
+			expect(count).to.equal(3)
+		})
+
+		it('should throw if the index or its range key are not defined', () => {
+			const IndexModel = Model({TableName, Indexes})
+			expect(() => IndexModel.countBy('Test', 'a', {index: 'Unknown'}))
+				.to.throw('"Unknown" is not defined')
+			expect(() => IndexModel.countBy('Owner', 'a', {index: 'ByOwner', range: {gt: 1}}))
+				.to.throw('"RangeKey" is not defined')
+		})
+	})
+
+	describe('#update(attrs, hash, range)', () => {
+		it('should compile the attributes into a SET UpdateExpression', () => {
+			const DB = {update: sinon.spy(() => just({Attributes: {ID: 1, Range: 2, Test: 'a'}}))}
+			const UpdateModel = Model({TableName, RangeKey: 'Range', DB})
+			let attributes
+			UpdateModel.update({ID: 1, Range: 2, Test: 'a', Count: 3}, 1, 2)
+				.subscribe(x => attributes = x)
+			expect(DB.update.firstCall.args[0]).to.eql({
+				TableName,
+				Key: {ID: 1, Range: 2},
+				ReturnValues: 'ALL_NEW',
+				UpdateExpression: 'SET #Test = :Test, #Count = :Count',
+				ExpressionAttributeNames: {'#Test': 'Test', '#Count': 'Count'},
+				ExpressionAttributeValues: {':Test': 'a', ':Count': 3},
+			})
+			expect(attributes).to.eql({ID: 1, Range: 2, Test: 'a'})
+		})
+
+		it('should emit an error when there is nothing to update', () => {
+			const DB = {update: sinon.spy(() => just({}))}
+			const UpdateModel = Model({TableName, RangeKey: 'Range', DB})
+			let error
+			UpdateModel.update({ID: 1, Range: 2}, 1, 2)
+				.subscribe(() => {}, e => error = e)
+			expect(error.message).to.equal(`Nothing to update in "${TableName}"`)
+			expect(DB.update.called).to.be.false
+		})
+
+		it('should omit the attribute values when there are none', () => {
+			const UpdateModel = Model({TableName, RangeKey: 'Range'})
+			const params = UpdateModel.update({ID: 1, Range: 2})
+				.remove('Tmp')
+				.params()
+			expect(params.UpdateExpression).to.equal('REMOVE #Tmp')
+			expect(params).to.not.have.property('ExpressionAttributeValues')
+		})
+
+		it('should return an update builder when called with only the key', () => {
+			const params = CustomModel.update({ID: 1, Range: 2, Other: true})
+				.set({'address.city': 'Montevideo'})
+				.setIfNotExists('Views', 0)
+				.append('tags', 'new')
+				.remove('Tmp', 'Old')
+				.add({Count: 1})
+				.delete('Colors', ['red'])
+				.params()
+			expect(params).to.eql({
+				TableName,
+				Key: {ID: 1, Range: 2},
+				ReturnValues: 'ALL_NEW',
+				UpdateExpression: [
+					'SET #address.#city = :address_city',
+					'#Views = if_not_exists(#Views, :Views)',
+					'#tags = list_append(if_not_exists(#tags, :empty), :tags)',
+				].join(', ') + ' REMOVE #Tmp, #Old ADD #Count :Count DELETE #Colors :Colors',
+				ExpressionAttributeNames: {
+					'#address': 'address',
+					'#city': 'city',
+					'#Views': 'Views',
+					'#tags': 'tags',
+					'#Tmp': 'Tmp',
+					'#Old': 'Old',
+					'#Count': 'Count',
+					'#Colors': 'Colors',
+				},
+				ExpressionAttributeValues: {
+					':address_city': 'Montevideo',
+					':Views': 0,
+					':empty': [],
+					':tags': ['new'],
+					':Count': 1,
+					':Colors': ['red'],
+				},
+			})
+		})
+
+		it('should leave out the values when only removing attributes', () => {
+			const params = CustomModel.update({ID: 1, Range: 2}).remove(['Tmp']).params()
+			expect(params.UpdateExpression).to.equal('REMOVE #Tmp')
+			expect(params).to.not.include.keys('ExpressionAttributeValues')
+		})
+	})
+
+	describe('#incrementAll(hash, range, attrValuesObj)', () => {
+		it('should compile the counts into an ADD UpdateExpression', () => {
+			CustomModel.incrementAll(1, 2, {Views: 1, Likes: 2})
+			.subscribe(() => {
+				const params = RxDynamo.update.lastCall.args[0]
+				expect(params.UpdateExpression).to.equal('ADD #Views :Views, #Likes :Likes')
+				expect(params.ExpressionAttributeValues).to.eql({':Views': 1, ':Likes': 2})
+				expect(params.ReturnValues).to.equal('NONE')
+			})
+		})
+
+		it('should send increments lazily through the update hooks and errors', () => {
+			const failure = Object.assign(new Error('Throttled'), {code: 'ThrottlingException'})
+			const DB = {update: sinon.spy(params => params.Key.ID === 9 ? Rx.Observable.throw(failure) : just({}))}
+			const IncrementModel = Model({TableName, DB})
+			const hook = sinon.spy(params => params)
+			IncrementModel.before('update', hook)
+			const increment = IncrementModel.increment('Views', 1, 1)
+			const incrementAll = IncrementModel.incrementAll(1, null, {Views: 1})
+			expect(DB.update).to.not.have.been.called
+			let error
+			increment.subscribe(() => {})
+			incrementAll.subscribe(() => {})
+			IncrementModel.increment('Views', 1, 9).subscribe(() => {}, err => error = err)
+			expect(hook).to.have.been.calledThrice
+			expect(DB.update).to.have.been.calledThrice
+			expect(error).to.be.instanceof(errors.ThrottlingError)
+		})
+	})
+
+	describe('conditional writes', () => {
+		const conditionalError = () => Object.assign(
+			new Error('The conditional request failed'),
+			{code: 'ConditionalCheckFailedException'}
+		)
+
+		it('should guard a save with the condition option', () => {
+			CustomModel.save({ID: 1, Range: 2, Test: 'a'}, {condition: {ID: {not_exists: true}}})
+			.subscribe(params => {
+				expect(params.ConditionExpression).to.equal('attribute_not_exists(#ID)')
+				expect(params.ExpressionAttributeNames).to.eql({'#ID': 'ID'})
+				expect(params).to.not.include.keys('ExpressionAttributeValues')
+			})
+		})
+
+		it('should guard a destroy with the condition option', () => {
+			CustomModel.destroy(1, 2, {condition: {Test: {eq: 'a'}}})
+			.subscribe(() => {
+				const params = RxDynamo.delete.lastCall.args[0]
+				expect(params.ConditionExpression).to.equal('#Test = :Test')
+				expect(params.ExpressionAttributeValues).to.eql({':Test': 'a'})
+			})
+		})
+
+		it('should merge the condition with the update expression', () => {
+			const params = CustomModel.update({ID: 1, Range: 2})
+				.set({Test: 'b'})
+				.condition({Test: {eq: 'a'}})
+				.params()
+			expect(params.UpdateExpression).to.equal('SET #Test = :Test')
+			expect(params.ConditionExpression).to.equal('#Test = :Test_1')
+			expect(params.ExpressionAttributeValues).to.eql({':Test': 'b', ':Test_1': 'a'})
+		})
+
+		it('should emit a ConditionalCheckFailedError when the condition is not met', () => {
+			const DB = {put: () => Rx.Observable.throw(conditionalError())}
+			const ConditionalModel = Model({TableName, DB})
+			let error
+			ConditionalModel.save({ID: 1}, {condition: {ID: {not_exists: true}}})
+				.subscribe(() => {}, err => error = err)
+			expect(error).to.be.instanceof(errors.ConditionalCheckFailedError)
+			expect(error.tableName).to.equal(TableName)
+			expect(error.operation).to.equal('put')
+			expect(error.code).to.equal('ConditionalCheckFailedException')
+		})
+	})
+
+	describe('optimistic locking', () => {
+		let VersionedModel
+
+		before(() => {
+			VersionedModel = Model({TableName, RangeKey: 'Range', VersionAttribute: 'Version'})
+		})
+
+		it('should only save new items if they do not exist', () => {
+			VersionedModel.save({ID: 1, Range: 2})
+			.subscribe(params => {
+				expect(params.Item.Version).to.equal(1)
+				expect(params.ConditionExpression).to.equal('attribute_not_exists(#Version)')
+			})
+		})
+
+		it('should only create items on saves that carry no version', () => {
+			const dynamo = LocalDynamo({tables: {[TableName]: {HashKey: 'ID'}}})
+			const Versioned = Model({TableName, DB: RxDynamoConstructor({dynamo}), VersionAttribute: 'Version'})
+			let error
+			Versioned.save({ID: 1, Test: 'a'}).subscribe(() => {})
+			Versioned.save({ID: 1, Test: 'b'}).subscribe(() => {}, err => error = err)
+			Versioned.save({ID: 1, Test: 'c', Version: 1}).subscribe(() => {})
+			expect(error).to.be.instanceof(errors.ConditionalCheckFailedError)
+			expect(dynamo.items(TableName)[0]).to.include({Test: 'c', Version: 2})
+		})
+
+		it('should increment the version and check the stored one on save', () => {
+			const item = {ID: 1, Range: 2, Version: 3}
+			VersionedModel.save(item, {condition: {Range: {exists: true}}})
+			.subscribe(params => {
+				expect(params.Item.Version).to.equal(4)
+				expect(params.ConditionExpression).to.equal('attribute_exists(#Range) AND #Version = :Version')
+				expect(params.ExpressionAttributeValues).to.eql({':Version': 3})
+				expect(item.Version).to.equal(3)
+			})
+		})
+
+		it('should check the version on update', () => {
+			VersionedModel.update({ID: 1, Range: 2, Test: 'a', Version: 3}, 1, 2)
+			.subscribe(() => {
+				const params = RxDynamo.update.lastCall.args[0]
+				expect(params.UpdateExpression).to.equal('SET #Test = :Test, #Version = :Version')
+				expect(params.ConditionExpression).to.equal('#Version = :Version_1')
+				expect(params.ExpressionAttributeValues).to.eql({':Test': 'a', ':Version': 4, ':Version_1': 3})
+			})
+		})
+
+		it('should check the version of the update options', () => {
+			VersionedModel.update({ID: 1, Range: 2, Test: 'a'}, 1, 2, {version: 3})
+			.subscribe(() => {
+				const params = RxDynamo.update.lastCall.args[0]
+				expect(params.UpdateExpression).to.equal('SET #Test = :Test, #Version = :Version')
+				expect(params.ConditionExpression).to.equal('#Version = :Version_1')
+			})
+		})
+
+		it('should reject batch saves', () => {
+			let error
+			VersionedModel.saveAll([{ID: 1, Range: 2}])
+			.subscribe(() => {}, e => error = e)
+			expect(error.message).to.equal(`saveAll can not check the versions of "${TableName}" items, use save`)
+		})
+
+		it('should increment the version of unguarded writes', () => {
+			const params = VersionedModel.update({ID: 1, Range: 2}).set({Test: 'a'}).params()
+			expect(params.UpdateExpression).to.equal('SET #Test = :Test ADD #Version :Version')
+			expect(params).to.not.include.keys('ConditionExpression')
+		})
+
+		it('should check the version on destroy', () => {
+			VersionedModel.destroy(1, 2, {version: 3})
+			.subscribe(() => {
+				const params = RxDynamo.delete.lastCall.args[0]
+				expect(params.ConditionExpression).to.equal('#Version = :Version')
+			})
+		})
+	})
+
+	describe('schema validation', () => {
+		const Schema = Joi.object().keys({
+			ID: Joi.string().required(),
+			Count: Joi.number().default(0),
+			Tags: Joi.array().items(Joi.string()),
+		})
+		it('should emit a ValidationError with the Joi details in strict mode', () => {
+			const DB = writeDB()
+			const ValidatedModel = Model({TableName, Schema, DB, Validation: 'strict'})
+			let error
+			ValidatedModel.save({ID: 1, Tags: [2]})
+				.subscribe(() => {}, err => error = err)
+			expect(DB.put).to.not.have.been.called
+			expect(error).to.be.instanceof(errors.ValidationError)
+			expect(error.operation).to.equal('save')
+			expect(error.details.map(detail => detail.path)).to.eql(['ID', 'Tags.0'])
+		})
+
+		it('should store the item with the Joi defaults and conversions', () => {
+			const DB = writeDB()
+			const ValidatedModel = Model({TableName, Schema, DB, Validation: 'strict'})
+			const item = {ID: 'a', Tags: ['x']}
+			ValidatedModel.save(item).subscribe()
+			expect(DB.put.firstCall.args[0].Item).to.include({ID: 'a', Count: 0})
+			expect(item).to.not.include.keys('Count')
+		})
+
+		it('should write invalid items in warn mode', () => {
+			const DB = writeDB()
+			const Logger = sinon.spy()
+			const ValidatedModel = Model({TableName, Schema, DB, Validation: 'warn', Logger})
+			ValidatedModel.save({ID: 1}).subscribe()
+			expect(Logger).to.have.been.calledOnce
+			expect(DB.put.firstCall.args[0].Item.ID).to.equal(1)
+		})
+
+		it('should save again the items it reads, with and without a version', () => {
+			const dynamo = LocalDynamo({tables: {[TableName]: {HashKey: 'ID'}}})
+			const config = {TableName, Schema, DB: RxDynamoConstructor({dynamo}), Validation: 'strict', Timestamps: {}}
+			const Plain = Model(config)
+			const Versioned = Model(Object.assign({VersionAttribute: 'V'}, config))
+			let error, item, versioned, summary
+			Plain.save({ID: 'a'})
+				.flatMap(() => Plain.get('a'))
+				.flatMap(read => Plain.save(Object.assign(read, {Count: 1})))
+				.flatMap(() => Plain.get('a'))
+				.flatMap(read => Plain.saveAll([read]))
+				.subscribe(x => summary = x, err => error = err)
+			Plain.get('a').subscribe(x => item = x)
+			Versioned.save({ID: 'b'})
+				.flatMap(() => Versioned.get('b'))
+				.flatMap(read => Versioned.save(Object.assign(read, {Count: 2})))
+				.flatMap(() => Versioned.get('b'))
+				.subscribe(x => versioned = x, err => error = err)
+			expect(error).to.be.undefined
+			expect(summary.written).to.equal(1)
+			expect(item).to.include({ID: 'a', Count: 1})
+			expect(item).to.include.keys('CreatedAt', 'UpdatedAt')
+			expect(versioned).to.include({ID: 'b', Count: 2, V: 2})
+		})
+
+		it('should warn on the console by default', () => {
+			const DB = writeDB()
+			const ValidatedModel = Model({TableName, Schema, DB, Validation: 'warn'})
+			const warn = sinon.stub(console, 'warn')
+			ValidatedModel.save({ID: 1}).subscribe()
+			warn.restore()
+			expect(warn).to.have.been.calledOnce
+		})
+
+		it('should take the mode per operation and per call', () => {
+			const ValidatedModel = Model({TableName, Schema, Validation: {saveAll: 'strict'}})
+			expect(ValidatedModel._validationMode('saveAll', {})).to.equal('strict')
+			expect(ValidatedModel._validationMode('save', {})).to.equal('off')
+			expect(ValidatedModel._validationMode('save', {validation: 'warn'})).to.equal('warn')
+		})
+
+		it('should validate the items of saveAll', () => {
+			const DB = {batchWrite: sinon.spy(() => just({}))}
+			const ValidatedModel = Model({TableName, Schema, DB, Validation: 'strict'})
+			let error
+			ValidatedModel.saveAll([{ID: 'a'}, {ID: 2}])
+				.subscribe(() => {}, err => error = err)
+			expect(DB.batchWrite).to.not.have.been.called
+			expect(error.operation).to.equal('saveAll')
+		})
+
+		it('should validate only the attributes present in an update', () => {
+			const DB = writeDB()
+			const ValidatedModel = Model({TableName, Schema, DB, Validation: 'strict'})
+			let error
+			ValidatedModel.update({Count: '3'}, 'a').subscribe()
+			expect(DB.update.firstCall.args[0].ExpressionAttributeValues).to.eql({':Count': 3})
+			ValidatedModel.update({Count: 'x'}, 'a').subscribe(() => {}, err => error = err)
+			expect(error).to.be.instanceof(errors.ValidationError)
+			expect(DB.update).to.have.been.calledOnce
+		})
+	})
+
+	describe('timestamps', () => {
+		it('should not mutate the saved item', () => {
+			const item = {ID: '1', Range: '2', Test: 'a'}
+			CustomModel.save(item).subscribe()
+			expect(item).to.eql({ID: '1', Range: '2', Test: 'a'})
+		})
+
+		it('should use the configured attribute names and format', () => {
+			const DB = writeDB()
+			const TimestampsModel = Model({TableName, DB, Timestamps: {
+				CreatedAt: 'created',
+				UpdatedAt: 'updated',
+				Format: 'iso',
+			}})
+			TimestampsModel.save({ID: 1}).subscribe()
+			TimestampsModel.saveAll([{ID: 2, created: 'then'}]).subscribe()
+			const item = DB.put.firstCall.args[0].Item
+			expect(item.created).to.match(/^\d{4}-\d{2}-\d{2}T/)
+			expect(item.updated).to.equal(item.created)
+			const batchItem = DB.batchWrite.firstCall.args[0].RequestItems[TableName][0].PutRequest.Item
+			expect(batchItem.created).to.equal('then')
+		})
+
+		it('should stamp epoch milliseconds', () => {
+			const DB = writeDB()
+			const TimestampsModel = Model({TableName, DB, Timestamps: {Format: 'milliseconds'}})
+			const before = Date.now()
+			TimestampsModel.save({ID: 1}).subscribe()
+			expect(DB.put.firstCall.args[0].Item.CreatedAt).to.be.at.least(before)
+		})
+
+		it('should maintain UpdatedAt on update and increment', () => {
+			const DB = writeDB()
+			const TimestampsModel = Model({TableName, DB, Timestamps: {}})
+			TimestampsModel.update({Test: 'a'}, 1).subscribe()
+			TimestampsModel.increment('Views', 1, 1).subscribe()
+			expect(DB.update.firstCall.args[0].UpdateExpression)
+				.to.equal('SET #Test = :Test, #UpdatedAt = :UpdatedAt, #CreatedAt = if_not_exists(#CreatedAt, :CreatedAt)')
+			expect(DB.update.secondCall.args[0].UpdateExpression)
+				.to.equal('SET #UpdatedAt = :UpdatedAt, #CreatedAt = if_not_exists(#CreatedAt, :CreatedAt) ADD #Views :Views')
+		})
+
+		describe('with Preserve', () => {
+			let dynamo, TimestampsModel
+			const stored = (id) => dynamo.items(TableName).filter(item => item.ID === id)[0]
+
+			beforeEach(() => {
+				dynamo = LocalDynamo({tables: {[TableName]: {HashKey: 'ID'}}})
+				TimestampsModel = Model({
+					TableName,
+					DB: RxDynamoConstructor({dynamo}),
+					Timestamps: {Preserve: true},
+				})
+				TimestampsModel.save({ID: 1, CreatedAt: 100, Old: 'a'}).subscribe(() => {})
+			})
+
+			it('should keep CreatedAt on save with if_not_exists, merging the attributes', () => {
+				const update = sinon.spy(dynamo, 'update')
+				TimestampsModel.save({ID: 1, New: 'b'}).subscribe(() => {})
+				expect(update.firstCall.args[0].UpdateExpression).to.contain(
+					'#CreatedAt = if_not_exists(#CreatedAt, :CreatedAt)'
+				)
+				expect(stored(1)).to.include({CreatedAt: 100, Old: 'a', New: 'b'})
+				expect(stored(1).UpdatedAt).to.be.at.least(stored(1).CreatedAt)
+			})
+
+			it('should stamp CreatedAt on the items updates create', () => {
+				TimestampsModel.update({Test: 'a'}, 2).subscribe(() => {})
+				TimestampsModel.increment('Views', 1, 3).subscribe(() => {})
+				TimestampsModel.update({Test: 'b'}, 1).subscribe(() => {})
+				expect(stored(2).CreatedAt).to.be.a('number')
+				expect(stored(3).CreatedAt).to.be.a('number')
+				expect(stored(1).CreatedAt).to.equal(100)
 			})
+
+			it('should only keep the CreatedAt the items carry on saveAll', () => {
+				TimestampsModel.saveAll([{ID: 1}, {ID: 2, CreatedAt: 200}]).subscribe(() => {})
+				expect(stored(1).CreatedAt).to.not.equal(100)
+				expect(stored(1)).to.not.include.keys('Old')
+				expect(stored(2).CreatedAt).to.equal(200)
+			})
+		})
+
+		it('should not stamp anything when disabled', () => {
+			const DB = writeDB()
+			const TimestampsModel = Model({TableName, DB, Timestamps: false})
+			TimestampsModel.save({ID: 1}).subscribe()
+			expect(DB.put.firstCall.args[0].Item).to.eql({ID: 1})
+		})
+	})
+
+	describe('TTL', () => {
+		const TTL = {Attribute: 'ExpiresAt', Lifetime: 60}
+		const now = () => Math.floor(Date.now() / 1000)
+
+		it('should set the default lifetime on save and saveAll', () => {
+			const DB = writeDB()
+			const TTLModel = Model({TableName, DB, TTL})
+			TTLModel.save({ID: 1}).subscribe()
+			TTLModel.saveAll([{ID: 2}]).subscribe()
+			const expiresAt = DB.put.firstCall.args[0].Item.ExpiresAt
+			expect(expiresAt).to.be.within(now() + 59, now() + 60)
+			const batchItem = DB.batchWrite.firstCall.args[0].RequestItems[TableName][0].PutRequest.Item
+			expect(batchItem.ExpiresAt).to.be.within(now() + 59, now() + 60)
+		})
+
+		it('should take expiresIn and expiresAt per call', () => {
+			const DB = writeDB()
+			const TTLModel = Model({TableName, DB, TTL})
+			TTLModel.save({ID: 1}, {expiresIn: 3600}).subscribe()
+			TTLModel.save({ID: 1}, {expiresAt: new Date(5000 * 1000)}).subscribe()
+			expect(DB.put.firstCall.args[0].Item.ExpiresAt).to.be.within(now() + 3599, now() + 3600)
+			expect(DB.put.secondCall.args[0].Item.ExpiresAt).to.equal(5000)
+		})
+
+		it('should set the TTL on update without the default lifetime', () => {
+			const DB = writeDB()
+			const TTLModel = Model({TableName, DB, TTL})
+			TTLModel.update({Test: 'a'}, 1).subscribe()
+			TTLModel.update({Test: 'a'}, 1, null, {expiresAt: 5000}).subscribe()
+			expect(DB.update.firstCall.args[0].UpdateExpression).to.equal('SET #Test = :Test')
+			expect(DB.update.secondCall.args[0].UpdateExpression)
+				.to.equal('SET #ExpiresAt = :ExpiresAt, #Test = :Test')
+			expect(DB.update.secondCall.args[0].ExpressionAttributeValues[':ExpiresAt']).to.equal(5000)
+		})
+
+		it('should filter out the expired items of a query', () => {
+			const TTLModel = Model({TableName, TTL})
+			const params = TTLModel._filterOptions({excludeExpired: true, filters: {Test: {eq: 'a'}}})
+			expect(params.FilterExpression).to.equal(
+				'(#Test = :Test AND (attribute_not_exists(#ExpiresAt) OR #ExpiresAt > :ExpiresAt))'
+			)
+		})
+
+		it('should hide the expired items on get', () => {
+			const DB = {get: () => just({Item: {ID: 1, ExpiresAt: now() - 1}})}
+			const TTLModel = Model({TableName, DB, TTL})
+			let withExpired, withoutExpired
+			TTLModel.get(1).subscribe(x => withExpired = x)
+			TTLModel.get(1, null, {excludeExpired: true}).subscribe(x => withoutExpired = x)
+			expect(withExpired.ID).to.equal(1)
+			expect(withoutExpired).to.eql({})
+		})
+	})
+
+	describe('#get(hash, range, options)', () => {
+		it('should emit an ItemNotFoundError for a required item that does not exist', () => {
+			const DB = {get: () => just({})}
+			const GetModel = Model({TableName, DB})
+			let item, error
+			GetModel.get(1).subscribe(x => item = x)
+			GetModel.get(1, null, {required: true}).subscribe(() => {}, err => error = err)
+			expect(item).to.eql({})
+			expect(error).to.be.instanceof(errors.ItemNotFoundError)
+			expect(error.params.Key).to.eql({ID: '[redacted]'})
+		})
+	})
+
+	describe('hooks', () => {
+		it('should let before hooks change the params and after hooks the result', () => {
+			const DB = getDB()
+			const HooksModel = Model({TableName, DB})
+			HooksModel.before('get', params => Object.assign({}, params, {Key: {ID: 2}}))
+			HooksModel.after('get', (item, context) => {
+				expect(context.operation).to.equal('get')
+				expect(context.params.Key).to.eql({ID: 2})
+				delete item.Secret
+			})
+			let item
+			HooksModel.get(1).subscribe(x => item = x)
+			expect(item).to.eql({ID: 2})
+		})
+
+		it('should run async hooks returning observables or promises', (done) => {
+			const DB = getDB()
+			const HooksModel = Model({TableName, DB})
+			HooksModel.before('save', params => Rx.Observable.just(params)
+				.map(params => Object.assign({}, params, {Item: Object.assign({Tenant: 't1'}, params.Item)})))
+			HooksModel.after('save', params => Promise.resolve(params.Item.Tenant))
+			HooksModel.save({ID: 1}).subscribe(tenant => {
+				expect(tenant).to.equal('t1')
+				expect(DB.put.firstCall.args[0].Item.Tenant).to.equal('t1')
+				done()
+			}, done)
+		})
+
+		it('should short-circuit the operation with context.resolve', () => {
+			const DB = getDB()
+			const HooksModel = Model({TableName, DB})
+			const afterHook = sinon.spy()
+			HooksModel.before('get', (params, context) => context.resolve({ID: 'cached'}))
+			HooksModel.after('get', afterHook)
+			let item
+			HooksModel.get(1).subscribe(x => item = x)
+			expect(item).to.eql({ID: 'cached'})
+			expect(DB.get).to.not.have.been.called
+			expect(afterHook).to.not.have.been.called
+		})
+
+		it('should fail the operation when a hook throws', () => {
+			const DB = getDB()
+			const HooksModel = Model({TableName, DB})
+			HooksModel.before('destroy', () => { throw new Error('Forbidden') })
+			let error
+			HooksModel.destroy(1).subscribe(() => {}, err => error = err)
+			expect(error.message).to.equal('Forbidden')
+		})
+
+		it('should run the global hooks registered on RxDynamo around the model hooks', () => {
+			const DB = RxDynamoConstructor({dynamo: dynamoStub})
+			const HooksModel = Model({TableName, DB})
+			const calls = []
+			DB.before('update', () => { calls.push('global before') })
+			DB.after('update', () => { calls.push('global after') })
+			HooksModel.before('update', () => { calls.push('model before') })
+			HooksModel.after('update', () => { calls.push('model after') })
+			HooksModel.update({Test: 'a'}, 1).subscribe()
+			expect(calls).to.eql(['global before', 'model before', 'model after', 'global after'])
+		})
+	})
+
+	describe('with LocalDynamo', () => {
+		let Posts
+
+		beforeEach(() => {
+			const dynamo = LocalDynamo({tables: {
+				Posts: {HashKey: 'UserID', RangeKey: 'PostID', Indexes: {StatusIndex: {HashKey: 'Status'}}},
+			}})
+			Posts = Model({
+				TableName: 'Posts',
+				DB: RxDynamoConstructor({dynamo}),
+				HashKey: 'UserID',
+				RangeKey: 'PostID',
+				Indexes: {StatusIndex: {HashKey: 'Status'}},
+				Timestamps: false,
+			})
+			Rx.Observable.from([1, 2, 3, 4, 5])
+				.concatMap(n => Posts.save({
+					UserID: 'a',
+					PostID: `p${n}`,
+					Status: n % 2 ? 'draft' : 'published',
+					Likes: n,
+				}))
+				.subscribe(() => {})
+		})
+
+		it('should save and get items', () => {
+			let item
+			Posts.get('a', 'p1').subscribe(x => item = x)
+			expect(item).to.eql({UserID: 'a', PostID: 'p1', Status: 'draft', Likes: 1})
+		})
+
+		it('should page through the items of a hash key', () => {
+			const pages = []
+			Posts.allBy('UserID', 'a', {limit: 2}).subscribe(x => pages.push(x))
+			Posts.allBy('UserID', 'a', {limit: 2, page: pages[0].nextPage}).subscribe(x => pages.push(x))
+			expect(pages[0].items.map(item => item.PostID)).to.eql(['p5', 'p4'])
+			expect(pages[1].items.map(item => item.PostID)).to.eql(['p3', 'p2'])
+		})
+
+		it('should filter and count the items', () => {
+			let items, count
+			Posts.allBy('UserID', 'a', {filters: {Likes: {gt: 2}, Status: {eq: 'draft'}}})
+				.subscribe(x => items = x.items)
+			Posts.countBy('Status', 'published', {index: 'StatusIndex'}).subscribe(x => count = x)
+			expect(items.map(item => item.PostID)).to.eql(['p5', 'p3'])
+			expect(count).to.equal(2)
+		})
+
+		it('should stream every item of a hash key', () => {
+			let items
+			Posts.streamBy('UserID', 'a', {limit: 2}).toArray().subscribe(x => items = x)
+			expect(items.map(item => item.PostID)).to.eql(['p5', 'p4', 'p3', 'p2', 'p1'])
+		})
+
+		it('should fail conditional writes with a ConditionalCheckFailedError', () => {
+			let error
+			Posts.save({UserID: 'a', PostID: 'p1'}, {condition: {UserID: {not_exists: true}}})
+				.subscribe(() => {}, err => error = err)
+			expect(error).to.be.instanceof(errors.ConditionalCheckFailedError)
+		})
+
+		it('should update items with the update builder', () => {
+			let item
+			Posts.update({UserID: 'a', PostID: 'p1'})
+				.add('Likes', 2)
+				.append('Tags', ['new'])
+				.remove('Status')
+				.exec()
+				.subscribe(x => item = x)
+			expect(item).to.eql({UserID: 'a', PostID: 'p1', Likes: 3, Tags: ['new']})
+		})
+
+		it('should get and destroy items in batches', () => {
+			let items
+			Posts.destroyAll([['a', 'p1'], ['a', 'p2']]).subscribe(() => {})
+			Posts.getAll([['a', 'p1'], ['a', 'p3']], {ordered: true}).subscribe(x => items = x)
+			expect(items.map(item => item && item.PostID)).to.eql([null, 'p3'])
+		})
+	})
+
+	describe('#createTable(options)', () => {
+		const TableModel = (dynamo, config) => Model(Object.assign({
+			TableName: 'Users',
+			DB: RxDynamoConstructor({dynamo}),
+			Schema: Joi.object().keys({
+				ID: Joi.string(),
+				Created: Joi.number(),
+				Email: Joi.string(),
+			}),
+			RangeKey: 'Created',
+			Indexes: {
+				EmailIndex: {HashKey: 'Email', Projection: 'KEYS_ONLY'},
+				LocalIndex: {HashKey: 'ID', RangeKey: 'Email', Local: true, Projection: ['Name']},
+			},
+		}, config))
+
+		it('should build the table params from the model config', () => {
+			const params = TableModel({})._createTableParams({billingMode: 'PROVISIONED', readCapacity: 2})
+			expect(params).to.eql({
+				TableName: 'Users',
+				AttributeDefinitions: [
+					{AttributeName: 'ID', AttributeType: 'S'},
+					{AttributeName: 'Created', AttributeType: 'N'},
+					{AttributeName: 'Email', AttributeType: 'S'},
+				],
+				KeySchema: [
+					{AttributeName: 'ID', KeyType: 'HASH'},
+					{AttributeName: 'Created', KeyType: 'RANGE'},
+				],
+				BillingMode: 'PROVISIONED',
+				ProvisionedThroughput: {ReadCapacityUnits: 2, WriteCapacityUnits: 5},
+				GlobalSecondaryIndexes: [{
+					IndexName: 'EmailIndex',
+					KeySchema: [{AttributeName: 'Email', KeyType: 'HASH'}],
+					Projection: {ProjectionType: 'KEYS_ONLY'},
+					ProvisionedThroughput: {ReadCapacityUnits: 2, WriteCapacityUnits: 5},
+				}],
+				LocalSecondaryIndexes: [{
+					IndexName: 'LocalIndex',
+					KeySchema: [
+						{AttributeName: 'ID', KeyType: 'HASH'},
+						{AttributeName: 'Email', KeyType: 'RANGE'},
+					],
+					Projection: {ProjectionType: 'INCLUDE', NonKeyAttributes: ['Name']},
+				}],
+			})
+		})
+
+		it('should create the table and enable its TTL', () => {
+			const dynamo = LocalDynamo()
+			let table
+			TableModel(dynamo, {TTL: {Attribute: 'ExpiresAt'}}).createTable().subscribe(x => table = x)
+			expect(table.TableName).to.equal('Users')
+			expect(table.BillingMode).to.equal('PAY_PER_REQUEST')
+			expect(table.TableStatus).to.equal('ACTIVE')
+			expect(dynamo.items('Users')).to.eql([])
+			let description
+			dynamo.describeTable({TableName: 'Users'}, (err, data) => description = data.Table)
+			expect(description.TimeToLiveDescription.TimeToLiveStatus).to.equal('ENABLED')
+		})
+
+		it('should only create the table once with ensureTable', () => {
+			const dynamo = LocalDynamo()
+			const Users = TableModel(dynamo)
+			const tables = []
+			let error
+			Users.ensureTable().subscribe(x => tables.push(x))
+			Users.ensureTable().subscribe(x => tables.push(x))
+			Users.createTable().subscribe(() => {}, err => error = err)
+			expect(tables.map(table => table.TableName)).to.eql(['Users', 'Users'])
+			expect(error).to.be.instanceof(errors.RxDynamoError)
+			expect(error.code).to.equal('ResourceInUseException')
+		})
+	})
+
+	describe('single-table design', () => {
+		let dynamo, Users, Orders
+
+		beforeEach(() => {
+			dynamo = LocalDynamo({tables: {
+				App: {HashKey: 'PK', RangeKey: 'SK', Indexes: {GSI1: {HashKey: 'GSI1PK', RangeKey: 'SK'}}},
+			}})
+			const DB = RxDynamoConstructor({dynamo})
+			const shared = {
+				TableName: 'App',
+				DB,
+				HashKey: 'PK',
+				RangeKey: 'SK',
+				Indexes: {GSI1: {HashKey: 'GSI1PK', RangeKey: 'SK'}},
+				Timestamps: false,
+			}
+			Users = Model(Object.assign({}, shared, {
+				Entity: 'User',
+				Schema: Joi.object().keys({UserID: Joi.string(), Name: Joi.string()}),
+				KeyTemplates: {PK: 'USER#{UserID}', SK: 'PROFILE'},
+			}))
+			Orders = Model(Object.assign({}, shared, {
+				Entity: 'Order',
+				Schema: Joi.object().keys({
+					UserID: Joi.string(),
+					Date: Joi.string(),
+					OrderID: Joi.number(),
+					Total: Joi.number(),
+				}),
+				KeyTemplates: {PK: 'USER#{UserID}', SK: 'ORDER#{Date}#{OrderID}', GSI1PK: 'ORDER#{OrderID}'},
+			}))
+			Users.save({UserID: 'u1', Name: 'Ann'}).subscribe(() => {})
+			;[
+				{UserID: 'u1', Date: '2020-01-02', OrderID: 1, Total: 10},
+				{UserID: 'u1', Date: '2020-02-03', OrderID: 2, Total: 20},
+				{UserID: 'u1', Date: '2021-01-01', OrderID: 3, Total: 30},
+			].forEach(order => Orders.save(order).subscribe(() => {}))
+		})
+
+		it('should compose the keys and the entity type on save', () => {
+			expect(dynamo.items('App')[0]).to.eql({
+				PK: 'USER#u1',
+				SK: 'ORDER#2020-01-02#1',
+				GSI1PK: 'ORDER#1',
+				EntityType: 'Order',
+				UserID: 'u1',
+				Date: '2020-01-02',
+				OrderID: 1,
+				Total: 10,
+			})
+		})
+
+		it('should parse the attributes of the composed keys', () => {
+			expect(Orders._parseKeys({PK: 'USER#u#1', SK: 'ORDER#2020-01-02#7'}))
+				.to.eql({UserID: 'u#1', Date: '2020-01-02', OrderID: 7})
+			let item
+			Orders.get({UserID: 'u1', Date: '2020-01-02', OrderID: 1}, null, {fields: 'PK,SK,Total', include_fields: 'true'})
+				.subscribe(x => item = x)
+			expect(item).to.eql({PK: 'USER#u1', SK: 'ORDER#2020-01-02#1', UserID: 'u1', Date: '2020-01-02', OrderID: 1, Total: 10})
+		})
+
+		it('should query by composed keys and key prefixes', () => {
+			let orders, order
+			Orders.allBy('PK', {UserID: 'u1'}, {range: {begins_with: {Date: '2020'}}})
+				.subscribe(x => orders = x.items)
+			Orders.allBy('GSI1PK', {OrderID: 3}, {index: 'GSI1'}).subscribe(x => order = x.items[0])
+			expect(orders.map(item => item.OrderID)).to.eql([2, 1])
+			expect(order.Total).to.equal(30)
+		})
+
+		it('should only return the items of the model entity', () => {
+			let items
+			Orders.allBy('PK', {UserID: 'u1'}).subscribe(x => items = x.items)
+			expect(items.map(item => item.EntityType)).to.eql(['Order', 'Order', 'Order'])
+		})
+
+		it('should return mixed entity types with the entities option', () => {
+			let items
+			Users.allBy('PK', {UserID: 'u1'}, {entities: [Users, Orders]}).subscribe(x => items = x.items)
+			expect(items.map(item => item.EntityType)).to.eql(['User', 'Order', 'Order', 'Order'])
+			expect(items[0].Name).to.equal('Ann')
+		})
+
+		it('should page with the composed keys', () => {
+			const pages = []
+			Orders.allBy('PK', {UserID: 'u1'}, {limit: 2, range: {begins_with: {}}}).subscribe(x => pages.push(x))
+			expect(Orders.lastEvaluatedKey(pages[0].nextPage)).to.eql({PK: 'USER#u1', SK: 'ORDER#2020-02-03#2'})
+			Orders.allBy('PK', {UserID: 'u1'}, {limit: 2, range: {begins_with: {}}, page: pages[0].nextPage})
+				.subscribe(x => pages.push(x))
+			expect(pages[1].items.map(item => item.OrderID)).to.eql([1])
+		})
+
+		it('should save an item that was read', () => {
+			let item, error
+			Orders.get({UserID: 'u1', Date: '2020-01-02', OrderID: 1}).subscribe(x => item = x)
+			Orders.save(Object.assign(item, {Total: 15})).subscribe(() => {}, err => error = err)
+			expect(error).to.be.undefined
+			expect(dynamo.items('App')[0].Total).to.equal(15)
+		})
+	})
+
+	describe('projections', () => {
+		let dynamo, Users
+		const user = (n) => ({
+			Group: 'g',
+			ID: `u${n}`,
+			Name: `User ${n}`,
+			Password: 'secret',
+			Address: {City: 'Montevideo', Street: 'Main'},
+			Tags: ['a', 'b'],
+		})
+
+		beforeEach(() => {
+			dynamo = LocalDynamo({tables: {Users: {HashKey: 'Group', RangeKey: 'ID'}}})
+			Users = Model({
+				TableName: 'Users',
+				DB: RxDynamoConstructor({dynamo}),
+				HashKey: 'Group',
+				RangeKey: 'ID',
+				Timestamps: false,
+				Schema: Joi.object().keys({
+					Group: Joi.string(),
+					ID: Joi.string(),
+					Name: Joi.string(),
+					Password: Joi.string(),
+					Address: Joi.object(),
+					Tags: Joi.array(),
+				}),
+			})
+			Rx.Observable.from([1, 2, 3])
+				.concatMap(n => Users.save(user(n)))
+				.subscribe(() => {})
+		})
+
+		it('should read a list of nested paths', () => {
+			let item
+			Users.get('g', 'u1', {projection: ['Name', 'Address.City', 'Tags[1]']}).subscribe(x => item = x)
+			expect(item).to.eql({Name: 'User 1', Address: {City: 'Montevideo'}, Tags: ['b']})
+		})
+
+		it('should read a comma separated string of paths', () => {
+			expect(Users._fieldsOptions({projection: 'Name, Address.City'})).to.eql({
+				ProjectionExpression: '#Name,#Address.#City',
+				ExpressionAttributeNames: {'#Name': 'Name', '#Address': 'Address', '#City': 'City'},
+			})
+		})
+
+		it('should exclude the attributes on the server when the schema lists them all', () => {
+			const params = Users._fieldsOptions({projection: {exclude: ['Password', 'Address.Street']}})
+			expect(params.ProjectionExpression).to.equal('#Group,#ID,#Name,#Address,#Tags')
+			let item
+			Users.get('g', 'u1', {projection: {exclude: ['Password', 'Address.Street', 'Tags[0]']}})
+				.subscribe(x => item = x)
+			expect(item).to.eql({Group: 'g', ID: 'u1', Name: 'User 1', Address: {City: 'Montevideo'}, Tags: ['b']})
+			expect(dynamo.items('Users')[0].Address.Street).to.equal('Main')
+		})
+
+		it('should exclude the attributes on the client when the schema allows others', () => {
+			const Loose = Model({TableName: 'Users', HashKey: 'Group', Schema: Joi.object().unknown()})
+			expect(Loose._fieldsOptions({projection: {exclude: 'Password'}})).to.eql({})
+			expect(Loose._refineItem({Group: 'g', Password: 'x'}, {projection: {exclude: 'Password'}}))
+				.to.eql({Group: 'g'})
+		})
+
+		it('should exclude several elements of the same list', () => {
+			const Loose = Model({TableName: 'Users', HashKey: 'Group', Schema: Joi.object().unknown()})
+			const item = {Group: 'g', Tags: ['x', 'y', 'z'], Lists: [['a', 'b'], ['c']]}
+			const exclude = ['Tags[0]', 'Tags[1]', 'Lists[0][1]', 'Lists[1]', 'Lists[0][0]']
+			expect(Loose._refineItem(item, {projection: {exclude}}))
+				.to.eql({Group: 'g', Tags: ['z'], Lists: [[]]})
+			expect(item.Tags).to.eql(['x', 'y', 'z'])
+		})
+
+		it('should keep the keys the page cursors need', () => {
+			const pages = []
+			Users.allBy('Group', 'g', {limit: 2, projection: ['Name']}).subscribe(x => pages.push(x))
+			Users.allBy('Group', 'g', {limit: 2, projection: ['Name'], page: pages[0].nextPage})
+				.subscribe(x => pages.push(x))
+			expect(pages[0].items).to.eql([{Name: 'User 3'}, {Name: 'User 2'}])
+			expect(pages[1].items).to.eql([{Name: 'User 1'}])
+		})
+
+		it('should not overlap the paths', () => {
+			expect(Users._fieldsOptions({projection: ['Address', 'Address.City']}).ProjectionExpression)
+				.to.equal('#Address')
+		})
+
+		it('should throw when the projection includes and excludes attributes', () => {
+			expect(() => Users._fieldsOptions({projection: {include: ['Name'], exclude: ['Password']}}))
+				.to.throw('"projection" can not include and exclude attributes')
+		})
+	})
+
+	describe('bidirectional paging', () => {
+		let Posts
+
+		beforeEach(() => {
+			const dynamo = LocalDynamo({tables: {Posts: {HashKey: 'UserID', RangeKey: 'PostID'}}})
+			Posts = Model({
+				TableName: 'Posts',
+				DB: RxDynamoConstructor({dynamo}),
+				HashKey: 'UserID',
+				RangeKey: 'PostID',
+				Timestamps: false,
+			})
+			Rx.Observable.from([1, 2, 3, 4, 5, 6])
+				.concatMap(n => Posts.save({UserID: 'a', PostID: `p${n}`, Likes: n}))
+				.subscribe(() => {})
+		})
+
+		const page = (options) => {
+			let response
+			Posts.allBy('UserID', 'a', Object.assign({limit: 3}, options)).subscribe(x => response = x)
+			return response
+		}
+		const ids = (response) => response.items.map(item => item.PostID)
+
+		it('should page forward and backward in descending order', () => {
+			const first = page()
+			const last = page({page: first.nextPage})
+			const back = page({page: last.prevPage})
+			expect(ids(first)).to.eql(['p6', 'p5', 'p4'])
+			expect([first.hasPrev, first.hasNext]).to.eql([false, true])
+			expect(ids(last)).to.eql(['p3', 'p2', 'p1'])
+			expect([last.hasPrev, last.hasNext]).to.eql([true, false])
+			expect(ids(back)).to.eql(['p6', 'p5', 'p4'])
+			expect([back.hasPrev, back.hasNext]).to.eql([false, true])
+			expect(back.prevPage).to.be.undefined
+		})
+
+		it('should page forward and backward in ascending order', () => {
+			const first = page({order: 'asc'})
+			const last = page({order: 'asc', page: first.nextPage})
+			const back = page({order: 'asc', page: last.prevPage})
+			expect(ids(first)).to.eql(['p1', 'p2', 'p3'])
+			expect(ids(last)).to.eql(['p4', 'p5', 'p6'])
+			expect(last.hasNext).to.be.false
+			expect(ids(back)).to.eql(['p1', 'p2', 'p3'])
+			expect(back.hasPrev).to.be.false
+		})
+
+		it('should go back to a page in the middle', () => {
+			const first = page({limit: 2})
+			const second = page({limit: 2, page: first.nextPage})
+			const third = page({limit: 2, page: second.nextPage})
+			const back = page({limit: 2, page: third.prevPage})
+			expect(ids(back)).to.eql(['p4', 'p3'])
+			expect([back.hasPrev, back.hasNext]).to.eql([true, true])
+			expect(ids(page({limit: 2, page: back.prevPage}))).to.eql(['p6', 'p5'])
+		})
+
+		it('should go on from the pages the filters left empty', () => {
+			const dynamo = LocalDynamo({tables: {Posts: {HashKey: 'UserID', RangeKey: 'PostID'}}})
+			const SoftPosts = Model({
+				TableName: 'Posts',
+				DB: RxDynamoConstructor({dynamo}),
+				HashKey: 'UserID',
+				RangeKey: 'PostID',
+				Timestamps: false,
+				SoftDelete: true,
+			})
+			Rx.Observable.from([1, 2, 3, 4, 5, 6])
+				.concatMap(n => SoftPosts.save({UserID: 'a', PostID: `p${n}`}))
+				.subscribe(() => {})
+			Rx.Observable.from([3, 4, 5, 6])
+				.concatMap(n => SoftPosts.destroy('a', `p${n}`))
+				.subscribe(() => {})
+			const found = []
+			let response = {nextPage: undefined}
+			for (let i = 0; i < 6 && (i === 0 || !!response.nextPage); i++) {
+				SoftPosts.allBy('UserID', 'a', {limit: 2, page: response.nextPage})
+					.subscribe(x => response = x)
+				found.push.apply(found, ids(response))
+			}
+			expect(found).to.eql(['p2', 'p1'])
+			expect(response.hasNext).to.be.false
+		})
+
+		it('should add the total count of the items', () => {
+			const response = page({total: true, filters: {Likes: {gt: 2}}})
+			expect(response.total).to.equal(4)
+		})
+	})
+
+	describe('signed cursors', () => {
+		let Posts
+
+		beforeEach(() => {
+			const dynamo = LocalDynamo({tables: {Posts: {HashKey: 'UserID', RangeKey: 'PostID'}}})
+			Posts = Model({
+				TableName: 'Posts',
+				DB: RxDynamoConstructor({dynamo}),
+				HashKey: 'UserID',
+				RangeKey: 'PostID',
+				Timestamps: false,
+				Cursor: {Secret: 'secret', TTL: 60},
+			})
+			Rx.Observable.from(['a', 'b'])
+				.concatMap(user => Rx.Observable.from([1, 2, 3, 4])
+					.map(n => ({UserID: user, PostID: `p${n}`})))
+				.concatMap(item => Posts.save(item))
+				.subscribe(() => {})
+		})
+
+		it('should page with signed cursors', () => {
+			const pages = []
+			Posts.allBy('UserID', 'a', {limit: 2}).subscribe(x => pages.push(x))
+			Posts.allBy('UserID', 'a', {limit: 2, page: pages[0].nextPage}).subscribe(x => pages.push(x))
+			Posts.allBy('UserID', 'a', {limit: 2, page: pages[1].prevPage}).subscribe(x => pages.push(x))
+			expect(pages[0].nextPage).to.contain('.')
+			expect(pages[1].items.map(item => item.PostID)).to.eql(['p2', 'p1'])
+			expect(pages[2].items.map(item => item.PostID)).to.eql(['p4', 'p3'])
+		})
+
+		it('should emit an InvalidCursorError for a tampered cursor', () => {
+			let page, error
+			Posts.allBy('UserID', 'a', {limit: 2}).subscribe(x => page = x)
+			const forged = `${base64url.encode(JSON.stringify({k: {UserID: 'a', PostID: 'p9'}}))}.${page.nextPage.split('.')[1]}`
+			Posts.allBy('UserID', 'a', {limit: 2, page: forged}).subscribe(() => {}, err => error = err)
+			expect(error).to.be.instanceof(errors.InvalidCursorError)
+		})
+
+		it('should emit an InvalidCursorError for a cursor of another query', () => {
+			let page, error
+			Posts.allBy('UserID', 'a', {limit: 2}).subscribe(x => page = x)
+			Posts.allBy('UserID', 'b', {limit: 2, page: page.nextPage}).subscribe(() => {}, err => error = err)
+			expect(error).to.be.instanceof(errors.InvalidCursorError)
+			expect(error.message).to.equal('Invalid cursor: it belongs to another query')
+		})
+
+		it('should emit an InvalidCursorError for an expired cursor', () => {
+			const clock = sinon.useFakeTimers(Date.now())
+			let page, error
+			try {
+				Posts.allBy('UserID', 'a', {limit: 2}).subscribe(x => page = x)
+				clock.tick(61000)
+				Posts.streamBy('UserID', 'a', {limit: 2, page: page.nextPage}).subscribe(() => {}, err => error = err)
+			} finally {
+				clock.restore()
+			}
+			expect(error.message).to.equal('Invalid cursor: expired')
+		})
+
+		it('should sign the scan cursors', () => {
+			let page, error
+			const items = []
+			Posts.scan({limit: 5}).subscribe(x => page = x)
+			Posts.scan({limit: 5, page: page.nextPage}).subscribe(x => items.push(...x.items))
+			Posts.scan({limit: 5, page: base64url.encode(JSON.stringify(page))}).subscribe(() => {}, err => error = err)
+			expect(page.items.length + items.length).to.equal(8)
+			expect(error).to.be.instanceof(errors.InvalidCursorError)
+		})
+
+		it('should emit an InvalidCursorError for a malformed unsigned cursor', () => {
+			let error
+			Model({TableName: 'Posts', DB: RxDynamo, HashKey: 'UserID'})
+				.allBy('UserID', 'a', {page: 'not-a-cursor'})
+				.subscribe(() => {}, err => error = err)
+			expect(error).to.be.instanceof(errors.InvalidCursorError)
+		})
+	})
+
+	describe('soft delete', () => {
+		let dynamo, Posts
+
+		beforeEach(() => {
+			dynamo = LocalDynamo({tables: {Posts: {HashKey: 'UserID', RangeKey: 'PostID'}}})
+			Posts = Model({
+				TableName: 'Posts',
+				DB: RxDynamoConstructor({dynamo}),
+				HashKey: 'UserID',
+				RangeKey: 'PostID',
+				Timestamps: false,
+				TTL: {Attribute: 'ExpiresAt'},
+				SoftDelete: {ExpiresIn: 3600},
+				Schema: Joi.object().keys({
+					UserID: Joi.string(),
+					PostID: Joi.string(),
+					Title: Joi.string(),
+				}),
+			})
+			Rx.Observable.from([1, 2, 3])
+				.concatMap(n => Posts.save({UserID: 'a', PostID: `p${n}`, Title: `Post ${n}`}))
+				.subscribe(() => {})
+			Posts.destroy('a', 'p2').subscribe(() => {})
+		})
+
+		it('should mark the item as deleted with a TTL', () => {
+			const item = dynamo.items('Posts')[1]
+			expect(item.DeletedAt).to.be.a('number')
+			expect(item.ExpiresAt).to.equal(item.DeletedAt + 3600)
+		})
+
+		it('should hide the deleted items from reads', () => {
+			let item, items, count, scanned, all
+			Posts.get('a', 'p2').subscribe(x => item = x)
+			Posts.allBy('UserID', 'a').subscribe(x => items = x.items)
+			Posts.countBy('UserID', 'a').subscribe(x => count = x)
+			Posts.scan().subscribe(x => scanned = x.items)
+			Posts.getAll([['a', 'p1'], ['a', 'p2']], {projection: ['Title']}).subscribe(x => all = x)
+			expect(item).to.eql({})
+			expect(items.map(item => item.PostID)).to.eql(['p3', 'p1'])
+			expect(count).to.equal(2)
+			expect(scanned.length).to.equal(2)
+			expect(all).to.eql([{Title: 'Post 1'}])
+		})
+
+		it('should fill the pages the deleted items leave short', () => {
+			const pages = []
+			Posts.allBy('UserID', 'a', {limit: 1}).subscribe(x => pages.push(x))
+			Posts.allBy('UserID', 'a', {limit: 1, page: pages[0].nextPage}).subscribe(x => pages.push(x))
+			Posts.allBy('UserID', 'a', {limit: 1, page: pages[1].prevPage}).subscribe(x => pages.push(x))
+			expect(pages.map(page => page.items.map(item => item.PostID))).to.eql([['p3'], ['p1'], ['p3']])
+			expect(pages.map(page => [page.hasPrev, page.hasNext])).to.eql([[false, true], [true, false], [false, true]])
+		})
+
+		it('should read past a long run of deleted items with the page limit', () => {
+			const query = sinon.spy(dynamo, 'query')
+			Rx.Observable.range(4, 20)
+				.concatMap(n => Posts.save({UserID: 'a', PostID: `p${n}`}))
+				.subscribe(() => {})
+			Rx.Observable.range(3, 20)
+				.concatMap(n => Posts.destroy('a', `p${n}`))
+				.subscribe(() => {})
+			let response
+			Posts.allBy('UserID', 'a', {limit: 2}).subscribe(x => response = x)
+			expect(response.items.map(item => item.PostID)).to.eql(['p23', 'p1'])
+			expect(query.callCount).to.equal(8)
+			expect(query.getCalls().every(call => call.args[0].Limit === 3)).to.be.true
+		})
+
+		it('should read the deleted items with withDeleted and onlyDeleted', () => {
+			let item, items, deleted
+			Posts.get('a', 'p2', {withDeleted: true}).subscribe(x => item = x)
+			Posts.allBy('UserID', 'a', {withDeleted: true}).subscribe(x => items = x.items)
+			Posts.allBy('UserID', 'a', {onlyDeleted: true}).subscribe(x => deleted = x.items)
+			expect(item.Title).to.equal('Post 2')
+			expect(items.length).to.equal(3)
+			expect(deleted.map(item => item.PostID)).to.eql(['p2'])
+		})
+
+		it('should restore a deleted item', () => {
+			let item, error
+			Posts.restore('a', 'p2').subscribe(() => {})
+			Posts.get('a', 'p2').subscribe(x => item = x)
+			Posts.restore('a', 'p2').subscribe(() => {}, err => error = err)
+			expect(item).to.eql({UserID: 'a', PostID: 'p2', Title: 'Post 2'})
+			expect(error).to.be.instanceof(errors.ConditionalCheckFailedError)
+		})
+
+		it('should restore the TTL the item had before it was deleted', () => {
+			Posts.save({UserID: 'a', PostID: 'p4'}, {expiresAt: 2000000000}).subscribe(() => {})
+			Posts.destroy('a', 'p4').subscribe(() => {})
+			const deleted = dynamo.items('Posts')[3]
+			expect(deleted.DeletedTTL).to.equal(2000000000)
+			expect(deleted.ExpiresAt).to.equal(deleted.DeletedAt + 3600)
+			Posts.restore('a', 'p4').subscribe(() => {})
+			Posts.restore('a', 'p2').subscribe(() => {})
+			expect(dynamo.items('Posts')[3]).to.eql({UserID: 'a', PostID: 'p4', ExpiresAt: 2000000000})
+			expect(dynamo.items('Posts')[1]).to.eql({UserID: 'a', PostID: 'p2', Title: 'Post 2'})
+		})
+
+		it('should skip the items that do not exist, like a delete', () => {
+			let deleted, error, summary
+			Posts.destroy('a', 'p9').subscribe(x => deleted = x)
+			Posts.destroy('a', 'p9', {condition: {Title: {exists: true}}}).subscribe(() => {}, err => error = err)
+			Posts.destroyAll([['a', 'p1'], ['a', 'p9']]).subscribe(x => summary = x)
+			expect(deleted).to.be.true
+			expect(error).to.be.instanceof(errors.ConditionalCheckFailedError)
+			expect(summary).to.eql({written: 2, failed: [], retries: [0, 0]})
+			expect(dynamo.items('Posts').length).to.equal(3)
+		})
+
+		it('should retry the throttled soft deletes and report the failed keys', () => {
+			const scheduler = new Rx.TestScheduler()
+			const failure = (code) => Rx.Observable.throw(Object.assign(new Error(code), {code}))
+			const responses = {
+				p1: [failure('ProvisionedThroughputExceededException'), just({})],
+				p2: [failure('ValidationException')],
+			}
+			const DB = {update: sinon.spy(params => responses[params.Key.PostID].shift())}
+			const SoftPosts = Model({
+				TableName: 'Posts',
+				DB,
+				HashKey: 'UserID',
+				RangeKey: 'PostID',
+				SoftDelete: true,
+			})
+			let summary
+			SoftPosts.destroyAll([['a', 'p1'], ['a', 'p2']], {scheduler})
+				.subscribe(x => summary = x)
+			scheduler.start()
+			expect(DB.update).to.have.been.calledThrice
+			expect(summary).to.eql({written: 1, failed: [{UserID: 'a', PostID: 'p2'}], retries: [0, 1]})
+		})
+
+		it('should keep the deletion time of the items already deleted', () => {
+			const deletedAt = dynamo.items('Posts')[1].DeletedAt - 10
+			Posts.update({DeletedAt: deletedAt}, 'a', 'p2').subscribe(() => {})
+			let deleted
+			Posts.destroy('a', 'p2').subscribe(x => deleted = x)
+			expect(deleted).to.be.true
+			expect(dynamo.items('Posts')[1].DeletedAt).to.equal(deletedAt)
+		})
+
+		it('should purge the items for good', () => {
+			Posts.purge('a', 'p2').subscribe(() => {})
+			expect(dynamo.items('Posts').map(item => item.PostID)).to.eql(['p1', 'p3'])
+		})
+
+		it('should soft delete inside transactions', () => {
+			const DB = {transactWrite: sinon.spy(() => just({}))}
+			Transaction({DB}).destroy(Posts, 'a', 'p1').commit().subscribe(() => {})
+			const update = DB.transactWrite.firstCall.args[0].TransactItems[0].Update
+			expect(update.UpdateExpression).to.equal(
+				'SET #DeletedAt = :DeletedAt, #DeletedTTL = if_not_exists(#ExpiresAt, :DeletedTTL), #ExpiresAt = :ExpiresAt'
+			)
+			expect(update.ConditionExpression).to.equal('attribute_exists(#UserID) AND attribute_not_exists(#DeletedAt)')
+		})
+
+		it('should emit an error when restoring without soft deletes', () => {
+			let error
+			Model({TableName, DB: RxDynamo}).restore(1).subscribe(() => {}, err => error = err)
+			expect(error.message).to.equal('"SoftDelete" is not defined')
+		})
+	})
+
+	describe('relationships', () => {
+		let dynamo, Users, Posts, Comments
+
+		beforeEach(() => {
+			dynamo = LocalDynamo({tables: {
+				Users: {HashKey: 'ID'},
+				Posts: {HashKey: 'ID', Indexes: {BlogIndex: {HashKey: 'Blog'}}},
+				Comments: {HashKey: 'ID', Indexes: {PostIndex: {HashKey: 'PostID'}}},
+			}})
+			const DB = RxDynamoConstructor({dynamo})
+			const config = {DB, Timestamps: false}
+			Users = Model(Object.assign({TableName: 'Users'}, config))
+			Posts = Model(Object.assign({TableName: 'Posts', Indexes: {BlogIndex: {HashKey: 'Blog'}}}, config))
+			Comments = Model(Object.assign({TableName: 'Comments', Indexes: {PostIndex: {HashKey: 'PostID'}}}, config))
+			Posts.belongsTo(Users, 'UserID', {as: 'author'})
+			Posts.hasMany(Comments, 'PostID', {as: 'comments', index: 'PostIndex', strategy: 'query'})
+			Users.saveAll([{ID: 'u1', Name: 'Ann'}, {ID: 'u2', Name: 'Bob'}]).subscribe(() => {})
+			Posts.saveAll([
+				{ID: 'p1', Blog: 'b', UserID: 'u1'},
+				{ID: 'p2', Blog: 'b', UserID: 'u2'},
+				{ID: 'p3', Blog: 'b', UserID: 'u1'},
+				{ID: 'p4', Blog: 'b', UserID: 'u9'},
+			]).subscribe(() => {})
+			Comments.saveAll([
+				{ID: 'c1', PostID: 'p1'},
+				{ID: 'c2', PostID: 'p1'},
+				{ID: 'c3', PostID: 'p2'},
+			]).subscribe(() => {})
+		})
+
+		it('should load the parents of the items with one batch get', () => {
+			const batchGet = sinon.spy(dynamo, 'batchGet')
+			let items
+			Posts.allBy('Blog', 'b', {index: 'BlogIndex', include: 'author'}).subscribe(x => items = x.items)
+			expect(batchGet).to.have.been.calledOnce
+			expect(batchGet.firstCall.args[0].RequestItems.Users.Keys.map(key => key.ID).sort())
+				.to.eql(['u1', 'u2', 'u9'])
+			const authors = items.reduce((acc, item) => Object.assign(acc, {
+				[item.ID]: item.author && item.author.Name,
+			}), {})
+			expect(authors).to.eql({p1: 'Ann', p2: 'Bob', p3: 'Ann', p4: null})
+		})
+
+		it('should load the children of the items', () => {
+			let item, items
+			Posts.get('p1', null, {include: ['comments', 'author']}).subscribe(x => item = x)
+			Posts.allBy('Blog', 'b', {index: 'BlogIndex', include: 'comments'}).subscribe(x => items = x.items)
+			expect(item.comments.map(comment => comment.ID).sort()).to.eql(['c1', 'c2'])
+			expect(item.author.Name).to.equal('Ann')
+			expect(items.filter(post => post.ID === 'p3')[0].comments).to.eql([])
+		})
+
+		it('should query the children once per distinct parent', () => {
+			const query = sinon.spy(dynamo, 'query')
+			let items
+			Posts._include([{ID: 'p1'}, {ID: 'p2'}, {ID: 'p1'}], {include: 'comments'})
+				.subscribe(x => items = x)
+			expect(query).to.have.been.calledTwice
+			expect(items.map(item => item.comments.length)).to.eql([2, 1, 2])
+		})
+
+		it('should scan the children once per 100 parents with the scan strategy', () => {
+			const query = sinon.spy(dynamo, 'query')
+			const scan = sinon.spy(dynamo, 'scan')
+			let items
+			Posts.hasMany(Comments, 'PostID', {as: 'comments', strategy: 'scan'})
+			Posts.allBy('Blog', 'b', {index: 'BlogIndex', include: 'comments'}).subscribe(x => items = x.items)
+			expect(query).to.have.been.calledOnce
+			expect(scan).to.have.been.calledOnce
+			expect(scan.firstCall.args[0].FilterExpression).to.match(/^#PostID IN \(/)
+			const comments = items.reduce((acc, item) => Object.assign(acc, {
+				[item.ID]: item.comments.map(comment => comment.ID).sort(),
+			}), {})
+			expect(comments).to.eql({p1: ['c1', 'c2'], p2: ['c3'], p3: [], p4: []})
+		})
+
+		it('should require the strategy of hasMany relations', () => {
+			expect(() => Posts.hasMany(Comments, 'PostID', {as: 'replies'}))
+				.to.throw('hasMany needs a "strategy", one of query, scan')
+			expect(() => Posts.hasMany(Comments, 'PostID', {as: 'replies', strategy: 'batch'}))
+				.to.throw('hasMany needs a "strategy", one of query, scan')
+		})
+
+		it('should not include anything for missing items', () => {
+			let item
+			Posts.get('p9', null, {include: 'author'}).subscribe(x => item = x)
+			expect(item).to.eql({})
+		})
+
+		it('should fail on unknown relations', () => {
+			let error
+			Posts.get('p1', null, {include: 'tags'}).subscribe(() => {}, err => error = err)
+			expect(error.message).to.equal('"relation tags" is not defined')
 		})
 	})
 })
\ No newline at end of file
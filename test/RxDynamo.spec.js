@@ -1,7 +1,10 @@
 'use strict'
 
+const Rx = require('rx')
 const expect = require('chai').expect
 const RxDynamo = require('../src/RxDynamo/')
+const RxDynamoConstructor = require('../src/RxDynamo/Constructor.js')
+const errors = require('../src/errors.js')
 
 const dynamoMethods = [
 	'batchGet',
@@ -12,6 +15,8 @@ const dynamoMethods = [
 	'put',
 	'query',
 	'scan',
+	'transactGet',
+	'transactWrite',
 	'update',
 ]
 
@@ -27,4 +32,254 @@ describe('RxDynamo', () => {
 			})
 		})
 	})
+
+	describe('errors', () => {
+		const failingDynamo = (err) => ({
+			get: (params, cb) => cb(Object.assign(new Error(err.message || 'failed'), err), {}),
+		})
+		const subscribeError = (dynamo, params) => {
+			const values = []
+			let error, completed = false
+			RxDynamoConstructor({dynamo}).get(params || {TableName: 'table'})
+				.subscribe(x => values.push(x), err => error = err, () => completed = true)
+			return {values, error, completed}
+		}
+
+		it('should stop after an error', () => {
+			const result = subscribeError(failingDynamo({code: 'InternalServerError'}))
+			expect(result.values).to.eql([])
+			expect(result.completed).to.be.false
+			expect(result.error).to.be.instanceof(errors.RxDynamoError)
+			expect(result.error.code).to.equal('InternalServerError')
+		})
+
+		it('should map the aws-sdk error codes to the error classes', () => {
+			const mapping = {
+				ProvisionedThroughputExceededException: errors.ThrottlingError,
+				ThrottlingException: errors.ThrottlingError,
+				ConditionalCheckFailedException: errors.ConditionalCheckFailedError,
+				ValidationException: errors.ValidationError,
+				ResourceNotFoundException: errors.ResourceNotFoundError,
+				TransactionCanceledException: errors.TransactionCanceledError,
+			}
+			Object.keys(mapping).forEach(code => {
+				const error = subscribeError(failingDynamo({code})).error
+				expect(error).to.be.instanceof(mapping[code])
+				expect(error).to.be.instanceof(errors.RxDynamoError)
+				expect(error.name).to.equal(mapping[code].name)
+			})
+		})
+
+		it('should carry the table name, operation and sanitized params', () => {
+			const error = subscribeError(failingDynamo({code: 'ValidationException'}), {
+				TableName: 'table',
+				Key: {ID: 'secret'},
+				ExpressionAttributeNames: {'#ID': 'ID'},
+			}).error
+			expect(error.tableName).to.equal('table')
+			expect(error.operation).to.equal('get')
+			expect(error.params).to.eql({
+				TableName: 'table',
+				Key: {ID: '[redacted]'},
+				ExpressionAttributeNames: {'#ID': 'ID'},
+			})
+		})
+
+		it('should pass through the errors without an aws-sdk code', () => {
+			const error = subscribeError(failingDynamo({message: 'hook failed'})).error
+			expect(error).to.not.be.instanceof(errors.RxDynamoError)
+			expect(error.message).to.equal('hook failed')
+			expect(error).to.not.have.property('params')
+		})
+
+		it('should read the cancellation reasons of a canceled transaction', () => {
+			const error = subscribeError(failingDynamo({
+				code: 'TransactionCanceledException',
+				message: 'Transaction cancelled [None, ConditionalCheckFailed]',
+			})).error
+			expect(error.reasons).to.eql([{index: 1, code: 'ConditionalCheckFailed', message: undefined}])
+		})
+	})
+
+	describe('retries', () => {
+		const flakyDynamo = (failures, code) => {
+			const calls = []
+			return {
+				calls,
+				get: (params, cb) => {
+					calls.push(params)
+					calls.length <= failures ?
+						cb(Object.assign(new Error('failed'), {code: code || 'ThrottlingException'})) :
+						cb(null, {Item: {ID: 1}})
+				},
+			}
+		}
+
+		it('should not retry by default', () => {
+			const dynamo = flakyDynamo(1)
+			let error
+			RxDynamoConstructor({dynamo}).get({TableName: 'table'})
+				.subscribe(() => {}, err => error = err)
+			expect(dynamo.calls.length).to.equal(1)
+			expect(error).to.be.instanceof(errors.ThrottlingError)
+			expect(error.attempts).to.equal(1)
+		})
+
+		it('should retry the throttled calls with backoff on the scheduler', () => {
+			const scheduler = new Rx.TestScheduler()
+			const dynamo = flakyDynamo(2)
+			const db = RxDynamoConstructor({dynamo, retry: {maxAttempts: 3, baseDelay: 100, jitter: false}})
+			let result
+			db.get({TableName: 'table'}, scheduler).subscribe(x => result = x)
+			expect(dynamo.calls.length).to.equal(1)
+			scheduler.advanceTo(100)
+			expect(dynamo.calls.length).to.equal(2)
+			scheduler.advanceTo(299)
+			expect(dynamo.calls.length).to.equal(2)
+			scheduler.advanceTo(300)
+			expect(dynamo.calls.length).to.equal(3)
+			expect(result).to.eql({Item: {ID: 1}})
+		})
+
+		it('should give up after the max number of attempts', () => {
+			const scheduler = new Rx.TestScheduler()
+			const dynamo = flakyDynamo(5)
+			const db = RxDynamoConstructor({dynamo, retry: {maxAttempts: 3, jitter: false}})
+			let error
+			db.get({TableName: 'table'}, scheduler).subscribe(() => {}, err => error = err)
+			scheduler.start()
+			expect(dynamo.calls.length).to.equal(3)
+			expect(error).to.be.instanceof(errors.ThrottlingError)
+			expect(error.attempts).to.equal(3)
+		})
+
+		it('should only retry the retryable error codes', () => {
+			const scheduler = new Rx.TestScheduler()
+			const dynamo = flakyDynamo(1, 'ValidationException')
+			const db = RxDynamoConstructor({dynamo, retry: {maxAttempts: 3}})
+			let error
+			db.get({TableName: 'table'}, scheduler).subscribe(() => {}, err => error = err)
+			scheduler.start()
+			expect(dynamo.calls.length).to.equal(1)
+			expect(error).to.be.instanceof(errors.ValidationError)
+		})
+
+		it('should take a retry policy per call', () => {
+			const scheduler = new Rx.TestScheduler()
+			const dynamo = flakyDynamo(1, 'ValidationException')
+			const db = RxDynamoConstructor({dynamo, retry: {maxAttempts: 3}})
+			let result
+			db.get({TableName: 'table'}, scheduler, {retry: {retryableCodes: ['ValidationException']}})
+				.subscribe(x => result = x)
+			scheduler.start()
+			expect(dynamo.calls.length).to.equal(2)
+			expect(result).to.eql({Item: {ID: 1}})
+
+			const other = flakyDynamo(1)
+			let error
+			RxDynamoConstructor({dynamo: other, retry: {maxAttempts: 3}})
+				.get({TableName: 'table'}, scheduler, {retry: false})
+				.subscribe(() => {}, err => error = err)
+			expect(other.calls.length).to.equal(1)
+			expect(error).to.be.instanceof(errors.ThrottlingError)
+		})
+	})
+
+	describe('cancellation', () => {
+		const pendingDynamo = () => {
+			const requests = []
+			return {
+				requests,
+				get: (params, cb) => {
+					const request = {cb, aborted: false, abort: () => request.aborted = true}
+					requests.push(request)
+					return request
+				},
+			}
+		}
+
+		it('should not call DynamoDB until subscribed', () => {
+			const dynamo = pendingDynamo()
+			const observable = RxDynamoConstructor({dynamo}).get({TableName: 'table'})
+			expect(dynamo.requests.length).to.equal(0)
+			observable.subscribe(() => {})
+			observable.subscribe(() => {})
+			expect(dynamo.requests.length).to.equal(2)
+		})
+
+		it('should abort the request when the subscription is disposed', () => {
+			const dynamo = pendingDynamo()
+			const values = []
+			const subscription = RxDynamoConstructor({dynamo}).get({TableName: 'table'})
+				.subscribe(x => values.push(x))
+			subscription.dispose()
+			expect(dynamo.requests[0].aborted).to.be.true
+			dynamo.requests[0].cb(null, {Item: {ID: 1}})
+			expect(values).to.eql([])
+		})
+
+		it('should not abort a request that finished', () => {
+			const dynamo = pendingDynamo()
+			const subscription = RxDynamoConstructor({dynamo}).get({TableName: 'table'})
+				.subscribe(() => {})
+			dynamo.requests[0].cb(null, {Item: {ID: 1}})
+			subscription.dispose()
+			expect(dynamo.requests[0].aborted).to.be.false
+		})
+
+		it('should abort the request and emit a TimeoutError after the timeout', () => {
+			const scheduler = new Rx.TestScheduler()
+			const dynamo = pendingDynamo()
+			let error
+			RxDynamoConstructor({dynamo}).get({TableName: 'table'}, scheduler, {timeout: 100})
+				.subscribe(() => {}, err => error = err)
+			scheduler.advanceTo(99)
+			expect(error).to.be.undefined
+			scheduler.advanceTo(100)
+			expect(error).to.be.instanceof(errors.TimeoutError)
+			expect(error.operation).to.equal('get')
+			expect(error.tableName).to.equal('table')
+			expect(dynamo.requests[0].aborted).to.be.true
+		})
+
+		it('should emit the result when it comes before the timeout', () => {
+			const scheduler = new Rx.TestScheduler()
+			const dynamo = pendingDynamo()
+			let result
+			RxDynamoConstructor({dynamo, timeout: 100}).get({TableName: 'table'}, scheduler)
+				.subscribe(x => result = x)
+			scheduler.advanceTo(50)
+			dynamo.requests[0].cb(null, {Item: {ID: 1}})
+			scheduler.start()
+			expect(result).to.eql({Item: {ID: 1}})
+			expect(dynamo.requests[0].aborted).to.be.false
+		})
+	})
+
+	describe('table management', () => {
+		const tableMethods = ['createTable', 'deleteTable', 'describeTable', 'updateTable', 'updateTimeToLive']
+
+		it('should wrap the table methods of the low level client', () => {
+			const calls = []
+			const client = tableMethods.reduce((acc, method) => Object.assign(acc, {
+				[method]: (params, cb) => {
+					calls.push(method)
+					cb(null, params)
+				},
+			}), {waitFor: (state, params, cb) => cb(null, {state, params})})
+			const db = RxDynamoConstructor({dynamo: {}, client})
+			tableMethods.forEach(method => db[method]({TableName: 'table'}).subscribe(() => {}))
+			let waited
+			db.waitFor('tableExists', {TableName: 'table'}).subscribe(x => waited = x)
+			expect(calls).to.eql(tableMethods)
+			expect(waited).to.eql({state: 'tableExists', params: {TableName: 'table'}})
+		})
+
+		it('should use the DocumentClient as client if it can manage tables', () => {
+			const dynamo = {createTable: (params, cb) => cb(null, {TableDescription: params})}
+			let result
+			RxDynamoConstructor({dynamo}).createTable({TableName: 'table'}).subscribe(x => result = x)
+			expect(result).to.eql({TableDescription: {TableName: 'table'}})
+		})
+	})
 })
\ No newline at end of file
@@ -0,0 +1,103 @@
+'use strict'
+
+const chai = require('chai')
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+const Rx = require('rx')
+const Model = require('../src/Model.js')
+const Transaction = require('../src/Transaction.js')
+const errors = require('../src/errors.js')
+const expect = chai.expect
+chai.use(sinonChai)
+
+const just = (arg) => Rx.Observable.just(arg)
+
+describe('Transaction', () => {
+	let Users, Posts
+
+	before(() => {
+		Users = Model({TableName: 'users'})
+		Posts = Model({TableName: 'posts', RangeKey: 'Date'})
+	})
+
+	describe('#commit()', () => {
+		it('should commit the write operations of several models', () => {
+			const DB = {transactWrite: sinon.spy(() => just({}))}
+			let result
+			Transaction({DB})
+				.save(Users, {ID: 1, Name: 'John'}, {condition: {ID: {not_exists: true}}})
+				.update(Posts, {Title: 'Hello'}, 1, 2)
+				.update(Posts.update({ID: 1, Date: 3}).add({Views: 1}))
+				.destroy(Posts, 1, 4)
+				.check(Users, 2, null, {Active: {eq: true}})
+				.commit()
+				.subscribe(x => result = x)
+			const items = DB.transactWrite.firstCall.args[0].TransactItems
+			expect(items.map(item => Object.keys(item)[0]))
+				.to.eql(['Put', 'Update', 'Update', 'Delete', 'ConditionCheck'])
+			expect(items[0].Put.TableName).to.equal('users')
+			expect(items[0].Put.ConditionExpression).to.equal('attribute_not_exists(#ID)')
+			expect(items[0].Put).to.not.include.keys('ReturnValues')
+			expect(items[1].Update.UpdateExpression).to.equal('SET #Title = :Title')
+			expect(items[1].Update).to.not.include.keys('ReturnValues')
+			expect(items[2].Update.UpdateExpression).to.equal('ADD #Views :Views')
+			expect(items[3].Delete).to.eql({TableName: 'posts', Key: {ID: 1, Date: 4}})
+			expect(items[4].ConditionCheck.ConditionExpression).to.equal('#Active = :Active')
+			expect(result).to.be.true
+		})
+
+		it('should commit the get operations and refine the items', () => {
+			const DB = {transactGet: sinon.spy(() => just({Responses: [
+				{Item: {ID: 1, Name: 'John', Password: 'x'}},
+				{},
+			]}))}
+			let items
+			Transaction({DB})
+				.get(Users, 1, null, {include_fields: false, fields: 'Password'})
+				.get(Posts, 1, 2, {include_fields: true, fields: 'Title'})
+				.commit()
+				.subscribe(x => items = x)
+			const params = DB.transactGet.firstCall.args[0]
+			expect(params.TransactItems[1].Get).to.eql({
+				TableName: 'posts',
+				Key: {ID: 1, Date: 2},
+				ProjectionExpression: '#Title',
+				ExpressionAttributeNames: {'#Title': 'Title'},
+			})
+			expect(items).to.eql([{ID: 1, Name: 'John'}, null])
+		})
+
+		it('should not mix reads and writes', () => {
+			let error
+			Transaction({DB: {}})
+				.get(Users, 1)
+				.destroy(Users, 1)
+				.commit()
+				.subscribe(() => {}, err => error = err)
+			expect(error.message).to.equal('Transactions can not mix reads and writes')
+		})
+
+		it('should map the cancellation reasons back to the operations', () => {
+			const canceled = Object.assign(new Error(
+				'Transaction cancelled, please refer cancellation reasons for specific reasons [None, ConditionalCheckFailed]'
+			), {code: 'TransactionCanceledException'})
+			const DB = {transactWrite: () => Rx.Observable.throw(canceled)}
+			let error
+			Transaction({DB})
+				.destroy(Posts, 1, 2)
+				.save(Users, {ID: 3}, {condition: {ID: {not_exists: true}}})
+				.commit()
+				.subscribe(() => {}, err => error = err)
+			expect(error).to.be.instanceof(errors.TransactionCanceledError)
+			expect(error.operation).to.equal('transactWrite')
+			expect(error.reasons).to.eql([{
+				index: 1,
+				code: 'ConditionalCheckFailed',
+				message: undefined,
+				type: 'Put',
+				tableName: 'users',
+				key: {ID: '[redacted]'},
+			}])
+		})
+	})
+})
@@ -0,0 +1,107 @@
+'use strict'
+
+const expect = require('chai').expect
+const sinon = require('sinon')
+const base64url = require('base64-url')
+const Cursor = require('../src/cursor.js')
+const errors = require('../src/errors.js')
+
+describe('Cursor', () => {
+	const key = {UserID: 'a', PostID: 'p1'}
+	const binding = {TableName: 'Posts', keys: [[':hvalue', 'a']]}
+
+	const decodeError = (cursor, token, binding) => {
+		try {
+			cursor.decode(token, binding)
+		} catch (err) {
+			return err
+		}
+	}
+
+	describe('without a secret', () => {
+		it('should encode the key as url safe base64 JSON', () => {
+			const token = Cursor().encode(key, binding)
+			expect(token).to.equal(base64url.encode(JSON.stringify(key)))
+			expect(Cursor().decode(token, binding)).to.eql(key)
+		})
+
+		it('should throw an InvalidCursorError on malformed cursors', () => {
+			const cursor = Cursor()
+			;['', 'not json', base64url.encode('"string"'), undefined].forEach(token => {
+				const error = decodeError(cursor, token)
+				expect(error).to.be.instanceof(errors.InvalidCursorError)
+				expect(error.message).to.equal('Invalid cursor: malformed')
+			})
+		})
+	})
+
+	describe('signed', () => {
+		let cursor
+
+		beforeEach(() => {
+			cursor = Cursor({Secret: 'secret', TTL: 60})
+		})
+
+		it('should round trip the key', () => {
+			expect(cursor.decode(cursor.encode(key, binding), binding)).to.eql(key)
+		})
+
+		it('should reject tampered cursors', () => {
+			const parts = cursor.encode(key, binding).split('.')
+			const forged = base64url.encode(JSON.stringify({k: {UserID: 'b', PostID: 'p1'}, b: 'x'}))
+			const error = decodeError(cursor, `${forged}.${parts[1]}`, binding)
+			expect(error).to.be.instanceof(errors.InvalidCursorError)
+			expect(error.message).to.equal('Invalid cursor: tampered')
+		})
+
+		it('should reject cursors signed with another secret', () => {
+			const token = Cursor({Secret: 'other'}).encode(key, binding)
+			expect(decodeError(cursor, token, binding)).to.be.instanceof(errors.InvalidCursorError)
+		})
+
+		it('should reject cursors of another query', () => {
+			const token = cursor.encode(key, binding)
+			const error = decodeError(cursor, token, Object.assign({}, binding, {keys: [[':hvalue', 'b']]}))
+			expect(error.message).to.equal('Invalid cursor: it belongs to another query')
+		})
+
+		it('should reject expired cursors', () => {
+			const clock = sinon.useFakeTimers(Date.now())
+			try {
+				const token = cursor.encode(key, binding)
+				clock.tick(61000)
+				expect(decodeError(cursor, token, binding).message).to.equal('Invalid cursor: expired')
+			} finally {
+				clock.restore()
+			}
+		})
+	})
+
+	describe('encrypted', () => {
+		let cursor
+
+		beforeEach(() => {
+			cursor = Cursor({Secret: 'secret', Encrypt: true})
+		})
+
+		it('should hide the key', () => {
+			const token = cursor.encode(key, binding)
+			expect(token).not.to.contain('.')
+			expect(base64url.decode(token)).not.to.contain('UserID')
+			expect(cursor.decode(token, binding)).to.eql(key)
+		})
+
+		it('should never start with the previous page marker', () => {
+			for (let i = 0; i < 256; i++) {
+				expect(cursor.encode(key, binding).charAt(0)).not.to.equal('-')
+			}
+		})
+
+		it('should reject tampered cursors', () => {
+			const buffer = Buffer.from(base64url.unescape(cursor.encode(key, binding)), 'base64')
+			buffer[buffer.length - 1] ^= 1
+			const flipped = base64url.escape(buffer.toString('base64'))
+			expect(decodeError(cursor, flipped, binding).message).to.equal('Invalid cursor: tampered')
+		})
+	})
+})
@@ -0,0 +1,96 @@
+'use strict'
+
+const expect = require('chai').expect
+const Expression = require('../src/expressions.js')
+const RxDynamoConstructor = require('../src/RxDynamo/Constructor.js')
+const LocalDynamo = require('../src/LocalDynamo/Constructor.js')
+
+describe('Expression', () => {
+	it('should build a key condition with values and conditions', () => {
+		expect(Expression().keyCondition({UserID: 'a', PostID: {begins_with: 'p'}}).params()).to.eql({
+			KeyConditionExpression: '#UserID = :UserID AND begins_with(#PostID, :PostID)',
+			ExpressionAttributeNames: {'#UserID': 'UserID', '#PostID': 'PostID'},
+			ExpressionAttributeValues: {':UserID': 'a', ':PostID': 'p'},
+		})
+	})
+
+	it('should reject the operators a key condition does not support', () => {
+		expect(() => Expression().keyCondition({UserID: {ne: 'a'}}).params())
+			.to.throw('"ne" is not a valid key condition')
+	})
+
+	it('should merge the names and values of every expression without collisions', () => {
+		const params = Expression()
+			.keyCondition({Status: 'draft'})
+			.filter({Status: {ne: 'deleted'}, 'address.city': {eq: 'Montevideo'}})
+			.filter({Tags: {size: {gt: 1}}})
+			.projection(['Name', 'Status', 'address.city'])
+			.params()
+		expect(params).to.eql({
+			KeyConditionExpression: '#Status = :Status',
+			FilterExpression: '#Status <> :Status_1 AND #address.#city = :address_city AND size(#Tags) > :Tags',
+			ProjectionExpression: '#Name,#Status,#address.#city',
+			ExpressionAttributeNames: {
+				'#Status': 'Status',
+				'#address': 'address',
+				'#city': 'city',
+				'#Tags': 'Tags',
+				'#Name': 'Name',
+			},
+			ExpressionAttributeValues: {
+				':Status': 'draft',
+				':Status_1': 'deleted',
+				':address_city': 'Montevideo',
+				':Tags': 1,
+			},
+		})
+	})
+
+	it('should not reuse the placeholders of the given params', () => {
+		const params = Expression({ExpressionAttributeValues: {':Count': 1}})
+			.condition({Count: {lt: 5}})
+			.params()
+		expect(params.ConditionExpression).to.equal('#Count < :Count_1')
+	})
+
+	it('should build an update expression from an updates object', () => {
+		const params = Expression()
+			.update({set: {Name: 'x'}, remove: 'Tmp, Old', add: {Count: 1}})
+			.update([{type: 'append', path: 'Tags', value: ['a']}])
+			.condition({Name: {exists: true}})
+			.params()
+		expect(params.UpdateExpression).to.equal(
+			'SET #Name = :Name, #Tags = list_append(if_not_exists(#Tags, :empty), :Tags) REMOVE #Tmp, #Old ADD #Count :Count'
+		)
+		expect(params.ConditionExpression).to.equal('attribute_exists(#Name)')
+		expect(() => Expression().update({rename: {A: 'B'}})).to.throw('"rename" is not a valid update action')
+	})
+
+	it('should copy another attribute with a setIfNotExists action', () => {
+		const params = Expression()
+			.update([{type: 'setIfNotExists', path: 'Saved', from: 'Current', value: null}])
+			.params()
+		expect(params.UpdateExpression).to.equal('SET #Saved = if_not_exists(#Current, :Saved)')
+		expect(params.ExpressionAttributeValues).to.eql({':Saved': null})
+	})
+
+	it('should return the same params every time', () => {
+		const expression = Expression().filter({A: {eq: 1}})
+		expect(expression.params()).to.eql(expression.params())
+	})
+
+	it('should be usable with RxDynamo.query', () => {
+		const dynamo = LocalDynamo({tables: {Posts: {HashKey: 'UserID', RangeKey: 'PostID'}}})
+		const db = RxDynamoConstructor({dynamo})
+		;[1, 2, 3].forEach(n => db.put({TableName: 'Posts', Item: {UserID: 'a', PostID: `p${n}`, Name: `n${n}`}})
+			.subscribe(() => {}))
+		let result
+		db.query(Object.assign({TableName: 'Posts'}, Expression()
+			.keyCondition({UserID: 'a', PostID: {gt: 'p1'}})
+			.filter({Name: {ne: 'n3'}})
+			.projection('Name')
+			.params()))
+			.subscribe(x => result = x)
+		expect(result.Items).to.eql([{Name: 'n2'}])
+	})
+})
@@ -11,6 +11,8 @@ const dynamoMethods = [
 	'put',
 	'query',
 	'scan',
+	'transactGet',
+	'transactWrite',
 	'update',
 ]
 